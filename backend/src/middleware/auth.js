@@ -0,0 +1,302 @@
+const { Pool } = require('pg');
+const { verifyToken } = require('../utils/jwt');
+const { ApiTokenService } = require('../services/apitoken.service');
+const { logger } = require('../utils/logger');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const apiTokens = new ApiTokenService();
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Authentication middleware
+ * Accepts either a session access token (JWT) or a personal access token
+ * and attaches the active user as req.user and the credential as req.auth.
+ * Session 401s carry a code (TOKEN_MISSING, TOKEN_EXPIRED, SESSION_REVOKED)
+ * so clients refresh only when the credential itself was rejected.
+ */
+async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      error: 'No token provided',
+      code: 'TOKEN_MISSING'
+    });
+  }
+
+  const token = authHeader.substring(7);
+
+  if (ApiTokenService.isApiToken(token)) {
+    return authenticateApiToken(token, req, res, next);
+  }
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (err) {
+    return res.status(401).json({
+      error: 'Invalid or expired token',
+      code: 'TOKEN_EXPIRED'
+    });
+  }
+
+  // Tokens issued before sessions existed carry no session id
+  if (!decoded.sid || !UUID_REGEX.test(decoded.sid)) {
+    return res.status(401).json({
+      error: 'Invalid or expired token',
+      code: 'TOKEN_EXPIRED'
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT u.id, u.email, u.username, u.email_verified_at, u.role
+         FROM users u
+         JOIN user_sessions s ON s.user_id = u.id
+         WHERE u.id = $1 AND s.id = $2
+           AND u.is_active = true
+           AND s.revoked_at IS NULL
+           AND s.expires_at > CURRENT_TIMESTAMP`,
+        [decoded.userId, decoded.sid]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({
+          error: 'Session expired or revoked',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      req.user = result.rows[0];
+      req.auth = { type: 'session', sessionId: decoded.sid };
+      next();
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Authentication error:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Personal access token branch of authenticate
+ */
+async function authenticateApiToken(token, req, res, next) {
+  try {
+    const verified = await apiTokens.verifyToken(token);
+
+    if (!verified) {
+      return res.status(401).json({
+        error: 'Invalid, expired or revoked API token'
+      });
+    }
+
+    req.user = verified.user;
+    req.auth = { type: 'token', tokenId: verified.tokenId, scopes: verified.scopes };
+    next();
+
+  } catch (error) {
+    logger.error('API token authentication error:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Scope check middleware factory
+ * Session logins carry every scope; API tokens only those they were granted
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.auth?.type === 'token' && !req.auth.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: `API token is missing required scope: ${scope}`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Restrict an endpoint to interactive sessions (no API tokens),
+ * e.g. account and credential management
+ */
+function requireSession(req, res, next) {
+  if (req.auth?.type !== 'session') {
+    return res.status(403).json({
+      error: 'This endpoint requires an interactive login session'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Restrict an endpoint to administrators
+ */
+function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Administrator access required'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Role for a new account: addresses listed in ADMIN_EMAILS start as admins
+ */
+function adminRoleFor(email) {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+  return admins.includes(email.toLowerCase()) ? 'admin' : 'user';
+}
+
+/**
+ * Block accounts that haven't confirmed their email address
+ * Disabled with REQUIRE_EMAIL_VERIFICATION=false
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'false' && !req.user.email_verified_at) {
+    return res.status(403).json({
+      error: 'Please verify your email address to use this feature',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Default project id lookup: route params first, then request body
+ */
+function defaultProjectId(req) {
+  return req.params.projectId || req.params.id || req.body?.projectId;
+}
+
+// Project roles, lowest to highest
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * Project access middleware factory
+ * Resolves the project id from the request (resolver may be async), checks
+ * that req.user is the owner or an accepted member with at least minRole,
+ * and attaches the project (with the caller's role) as req.project.
+ * Projects the user can't see at all (or that are in the trash) answer 404
+ * so ids can't be probed.
+ */
+function requireProjectAccess(minRole = 'viewer', resolveProjectId = defaultProjectId) {
+  return async (req, res, next) => {
+    try {
+      const projectId = await resolveProjectId(req);
+
+      if (!projectId) {
+        return res.status(400).json({
+          error: 'Missing required field: projectId'
+        });
+      }
+
+      if (!UUID_REGEX.test(projectId)) {
+        return res.status(404).json({
+          error: 'Project not found'
+        });
+      }
+
+      const client = await pool.connect();
+
+      try {
+        const result = await client.query(
+          `SELECT p.*,
+             CASE WHEN p.user_id = $2 THEN 'owner' ELSE pm.role END AS role
+           FROM projects p
+           LEFT JOIN project_members pm
+             ON pm.project_id = p.id
+             AND pm.user_id = $2
+             AND pm.accepted_at IS NOT NULL
+           WHERE p.id = $1
+             AND p.deleted_at IS NULL
+             AND (p.user_id = $2 OR pm.user_id IS NOT NULL)`,
+          [projectId, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+          logger.warn('Project access denied', {
+            projectId,
+            userId: req.user.id,
+            path: req.path
+          });
+
+          return res.status(404).json({
+            error: 'Project not found'
+          });
+        }
+
+        const project = result.rows[0];
+
+        if (PROJECT_ROLES.indexOf(project.role) < PROJECT_ROLES.indexOf(minRole)) {
+          return res.status(403).json({
+            error: `This action requires ${minRole} access to the project`,
+            role: project.role
+          });
+        }
+
+        req.project = project;
+        next();
+
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      logger.error('Project access check error:', error);
+      res.status(500).json({
+        error: 'Failed to check project access',
+        details: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Refuse writes to archived projects. Runs after requireProjectAccess.
+ */
+function requireWritableProject(req, res, next) {
+  if (req.project.archived_at) {
+    return res.status(423).json({
+      error: 'This project is archived and read-only. Unarchive it to make changes.',
+      code: 'PROJECT_ARCHIVED'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  requireSession,
+  requireAdmin,
+  adminRoleFor,
+  requireVerifiedEmail,
+  requireProjectAccess,
+  requireWritableProject,
+  PROJECT_ROLES,
+  UUID_REGEX
+};
@@ -84,8 +84,27 @@ class AppError extends Error {
   }
 }
 
+/**
+ * A conditional write found files changed since the client read them.
+ * conflicts: [{ path, expected, current }] where current is the stored
+ * file, or null if it no longer exists
+ */
+class FileConflictError extends AppError {
+  constructor(conflicts) {
+    super(
+      conflicts.length === 1
+        ? `${conflicts[0].path} was changed since you loaded it`
+        : `${conflicts.length} files were changed since you loaded them`,
+      409
+    );
+    this.name = 'FileConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
 module.exports = {
   errorHandler,
   asyncHandler,
-  AppError
+  AppError,
+  FileConflictError
 };
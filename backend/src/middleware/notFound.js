@@ -20,26 +20,100 @@ function notFound(req, res, next) {
       auth: [
         'POST /api/auth/register',
         'POST /api/auth/login',
-        'GET /api/auth/me'
+        'POST /api/auth/login/2fa',
+        'GET /api/auth/oidc/providers',
+        'GET /api/auth/oidc/:provider',
+        'GET /api/auth/oidc/:provider/callback',
+        'GET /api/auth/me',
+        'POST /api/auth/verify-email',
+        'POST /api/auth/resend-verification',
+        'POST /api/auth/forgot-password',
+        'POST /api/auth/reset-password',
+        'POST /api/auth/unlock',
+        'POST /api/auth/2fa/setup',
+        'POST /api/auth/2fa/enable',
+        'POST /api/auth/2fa/disable',
+        'POST /api/auth/2fa/recovery-codes',
+        'POST /api/auth/refresh',
+        'POST /api/auth/logout',
+        'GET /api/auth/sessions',
+        'DELETE /api/auth/sessions',
+        'DELETE /api/auth/sessions/:sessionId',
+        'GET /api/auth/tokens',
+        'POST /api/auth/tokens',
+        'DELETE /api/auth/tokens/:tokenId'
       ],
       projects: [
         'GET /api/projects',
+        'GET /api/projects/tags',
+        'GET /api/projects/settings-schema',
+        'GET /api/projects/templates',
+        'DELETE /api/projects/templates/:templateId',
+        'POST /api/projects/:id/template',
+        'POST /api/projects/:id/duplicate',
+        'POST /api/projects/import',
+        'POST /api/projects/import/git',
+        'POST /api/projects/import/directory',
+        'GET /api/projects/import/jobs/:jobId',
+        'GET /api/projects/:id/export',
         'GET /api/projects/:id',
         'POST /api/projects',
         'PUT /api/projects/:id',
-        'DELETE /api/projects/:id'
+        'DELETE /api/projects/:id',
+        'GET /api/projects/:id/activity',
+        'GET /api/projects/:id/stats',
+        'PUT /api/projects/:id/archive',
+        'DELETE /api/projects/:id/archive',
+        'PUT /api/projects/:id/star',
+        'DELETE /api/projects/:id/star',
+        'GET /api/projects/trash',
+        'POST /api/projects/trash/:id/restore',
+        'DELETE /api/projects/trash/:id',
+        'GET /api/projects/invitations',
+        'GET /api/projects/:id/members',
+        'POST /api/projects/:id/members',
+        'POST /api/projects/:id/members/accept',
+        'PUT /api/projects/:id/members/:userId',
+        'DELETE /api/projects/:id/members/:userId'
       ],
       files: [
         'GET /api/files/:projectId',
-        'GET /api/files/:projectId/:path',
+        'GET /api/files/:projectId/history/:path',
+        'GET /api/files/:projectId/revisions/:revisionId',
+        'GET /api/files/:projectId/diff',
+        'POST /api/files/:projectId/revisions/:revisionId/restore',
+        'GET /api/files/:projectId/raw/:path',
+        'POST /api/files/:projectId/upload',
+        'POST /api/files/:projectId/preview-session',
+        'GET /api/files/:projectId/content/:path',
         'POST /api/files/update',
         'POST /api/files/batch',
-        'DELETE /api/files/:projectId/:path'
+        'DELETE /api/files/:projectId/:path',
+        'POST /api/files/rename',
+        'POST /api/files/directories',
+        'POST /api/files/directories/move',
+        'DELETE /api/files/directories'
       ],
       chat: [
         'POST /api/chat/send',
         'GET /api/chat/history/:projectId',
         'DELETE /api/chat/session/:sessionId'
+      ],
+      account: [
+        'GET /api/account/usage',
+        'GET /api/account/export',
+        'DELETE /api/account'
+      ],
+      admin: [
+        'GET /api/admin/users',
+        'GET /api/admin/users/:userId',
+        'POST /api/admin/users/:userId/deactivate',
+        'POST /api/admin/users/:userId/reactivate',
+        'PUT /api/admin/users/:userId/role',
+        'POST /api/admin/users/:userId/force-password-reset',
+        'POST /api/admin/users/:userId/unlock',
+        'DELETE /api/admin/users/:userId',
+        'GET /api/admin/audit'
       ]
     } : undefined
   });
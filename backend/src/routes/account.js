@@ -0,0 +1,158 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+const { AccountService } = require('../services/account.service');
+const { LockoutService } = require('../services/lockout.service');
+const { TwoFactorService } = require('../services/twofactor.service');
+const { QuotaService } = require('../services/quota.service');
+const { requireSession, requireScope } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const accounts = new AccountService();
+const lockout = new LockoutService();
+const twoFactor = new TwoFactorService();
+const quotas = new QuotaService();
+
+/**
+ * GET /api/account/usage
+ * Storage and project usage next to the configured quotas
+ */
+router.get('/usage', requireScope('projects:read'), async (req, res) => {
+  try {
+    const usage = await quotas.getUsage(req.user.id);
+
+    res.json({
+      success: true,
+      usage
+    });
+
+  } catch (error) {
+    logger.error('Error fetching account usage:', error);
+    res.status(500).json({
+      error: 'Failed to fetch usage',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/account/export
+ * Download a zip with the profile, projects, files and chat history
+ */
+router.get('/export', requireSession, async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.attachment(`account-export-${req.user.username}-${date}.zip`);
+
+    await accounts.exportAccount(req.user.id, res);
+
+  } catch (error) {
+    logger.error('Error exporting account:', error);
+
+    // Headers are gone once the zip started streaming
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export account',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/account
+ * Permanently delete the authenticated account and everything it owns.
+ * Body: { password, code? } - code is required when two-factor is enabled,
+ * password unless the account only signs in through single sign-on
+ */
+router.delete('/', requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const limits = [
+      { bucket: 'password', key: req.user.email },
+      { bucket: 'totp', key: req.user.id }
+    ];
+
+    const blocked = await lockout.check(limits);
+
+    if (blocked) {
+      res.set('Retry-After', String(blocked.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed attempts, please try again later',
+        retryAfter: blocked.retryAfter
+      });
+    }
+
+    const client = await pool.connect();
+    let user;
+
+    try {
+      const result = await client.query(
+        'SELECT id, email, password_hash, totp_enabled_at FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      user = result.rows[0];
+
+    } finally {
+      client.release();
+    }
+
+    if (user.password_hash && !password) {
+      return res.status(400).json({
+        error: 'Missing required field: password'
+      });
+    }
+
+    if (user.password_hash && !await bcrypt.compare(password, user.password_hash)) {
+      await lockout.recordFailure([limits[0]], { ip: req.ip, path: req.path });
+
+      return res.status(401).json({
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (user.totp_enabled_at) {
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          error: 'Missing required field: code or recoveryCode'
+        });
+      }
+
+      if (!await twoFactor.verify(user.id, { code, recoveryCode })) {
+        await lockout.recordFailure([limits[1]], { ip: req.ip, path: req.path });
+
+        return res.status(401).json({
+          error: 'Invalid authentication code'
+        });
+      }
+    }
+
+    const deletedProjects = await accounts.deleteAccount(user.id);
+
+    await lockout.reset(limits);
+
+    logger.info(`User deleted their account: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account deleted',
+      deletedProjects
+    });
+
+  } catch (error) {
+    logger.error('Error deleting account:', error);
+    res.status(500).json({
+      error: 'Failed to delete account',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
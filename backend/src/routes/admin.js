@@ -0,0 +1,487 @@
+const express = require('express');
+const router = express.Router();
+const { Pool } = require('pg');
+const bcrypt = require('bcryptjs');
+const { SessionService } = require('../services/session.service');
+const { ApiTokenService } = require('../services/apitoken.service');
+const { UserTokenService } = require('../services/usertoken.service');
+const { MailerService } = require('../services/mailer.service');
+const { LockoutService } = require('../services/lockout.service');
+const { AccountService } = require('../services/account.service');
+const { AuditService } = require('../services/audit.service');
+const { requireSession, requireAdmin, UUID_REGEX } = require('../middleware/auth');
+const { randomToken } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const sessions = new SessionService();
+const apiTokens = new ApiTokenService();
+const userTokens = new UserTokenService();
+const mailer = new MailerService();
+const lockout = new LockoutService();
+const accounts = new AccountService();
+const audit = new AuditService();
+
+const USER_ROLES = ['user', 'admin'];
+
+// Admin endpoints need an interactive admin session - never an API token
+router.use(requireSession, requireAdmin);
+
+/**
+ * Load the target user into req.targetUser (404 if missing)
+ */
+async function loadTargetUser(req, res, next) {
+  const { userId } = req.params;
+
+  if (!UUID_REGEX.test(userId)) {
+    return res.status(404).json({
+      error: 'User not found'
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT id, email, username, role, is_active FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      req.targetUser = result.rows[0];
+      next();
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error loading user:', error);
+    res.status(500).json({
+      error: 'Failed to load user',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Admins can't lock themselves out through their own console
+ */
+function rejectSelf(req, res, next) {
+  if (req.targetUser.id === req.user.id) {
+    return res.status(400).json({
+      error: 'You cannot perform this action on your own account'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Audit entry for an action on the target user
+ */
+function recordUserAction(req, action, details = {}) {
+  return audit.record({
+    actorId: req.user.id,
+    action,
+    targetType: 'user',
+    targetId: req.targetUser.id,
+    details: { email: req.targetUser.email, ...details },
+    ip: req.ip
+  });
+}
+
+/**
+ * GET /api/admin/users
+ * List users with project counts and storage use
+ * Query: search (email or username), status (active | inactive), limit, offset
+ */
+router.get('/users', async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const isActive = status === 'active' ? true : status === 'inactive' ? false : null;
+    const pattern = search ? `%${search}%` : null;
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT
+          u.id,
+          u.email,
+          u.username,
+          u.role,
+          u.is_active,
+          u.email_verified_at,
+          u.totp_enabled_at IS NOT NULL as two_factor_enabled,
+          u.created_at,
+          u.last_login,
+          (SELECT COUNT(*) FROM projects p WHERE p.user_id = u.id) as project_count,
+          (SELECT COALESCE(SUM(f.size), 0)
+           FROM files f JOIN projects p ON p.id = f.project_id
+           WHERE p.user_id = u.id) as storage_bytes,
+          COUNT(*) OVER() as total_count
+        FROM users u
+        WHERE ($1::text IS NULL OR u.email ILIKE $1 OR u.username ILIKE $1)
+          AND ($2::boolean IS NULL OR u.is_active = $2)
+        ORDER BY u.created_at DESC
+        LIMIT $3 OFFSET $4
+      `, [pattern, isActive, limit, offset]);
+
+      const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+      res.json({
+        success: true,
+        users: result.rows.map(({ total_count, ...user }) => ({
+          ...user,
+          project_count: parseInt(user.project_count),
+          storage_bytes: parseInt(user.storage_bytes)
+        })),
+        total,
+        limit,
+        offset
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error listing users:', error);
+    res.status(500).json({
+      error: 'Failed to list users',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:userId
+ * User details with per-project storage
+ */
+router.get('/users/:userId', loadTargetUser, async (req, res) => {
+  try {
+    const client = await pool.connect();
+
+    try {
+      const userResult = await client.query(`
+        SELECT
+          id, email, username, role, is_active, email_verified_at,
+          totp_enabled_at IS NOT NULL as two_factor_enabled,
+          created_at, last_login
+        FROM users WHERE id = $1
+      `, [req.targetUser.id]);
+
+      const projectsResult = await client.query(`
+        SELECT
+          p.id,
+          p.name,
+          p.created_at,
+          p.updated_at,
+          COUNT(f.id) as file_count,
+          COALESCE(SUM(f.size), 0) as storage_bytes
+        FROM projects p
+        LEFT JOIN files f ON f.project_id = p.id
+        WHERE p.user_id = $1
+        GROUP BY p.id
+        ORDER BY p.updated_at DESC
+      `, [req.targetUser.id]);
+
+      const projects = projectsResult.rows.map(p => ({
+        ...p,
+        file_count: parseInt(p.file_count),
+        storage_bytes: parseInt(p.storage_bytes)
+      }));
+
+      res.json({
+        success: true,
+        user: {
+          ...userResult.rows[0],
+          project_count: projects.length,
+          storage_bytes: projects.reduce((sum, p) => sum + p.storage_bytes, 0)
+        },
+        projects
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error getting user:', error);
+    res.status(500).json({
+      error: 'Failed to get user',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/deactivate
+ * Disable an account and sign it out everywhere
+ */
+router.post('/users/:userId/deactivate', loadTargetUser, rejectSelf, async (req, res) => {
+  try {
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        'UPDATE users SET is_active = false WHERE id = $1',
+        [req.targetUser.id]
+      );
+
+    } finally {
+      client.release();
+    }
+
+    const revokedSessions = await sessions.revokeAllSessions(req.targetUser.id);
+    const revokedTokens = await apiTokens.revokeAllTokens(req.targetUser.id);
+
+    await recordUserAction(req, 'user.deactivate', { revokedSessions, revokedTokens });
+
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      revokedSessions,
+      revokedTokens
+    });
+
+  } catch (error) {
+    logger.error('Error deactivating user:', error);
+    res.status(500).json({
+      error: 'Failed to deactivate user',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/reactivate
+ * Re-enable a deactivated account
+ */
+router.post('/users/:userId/reactivate', loadTargetUser, async (req, res) => {
+  try {
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        'UPDATE users SET is_active = true WHERE id = $1',
+        [req.targetUser.id]
+      );
+
+    } finally {
+      client.release();
+    }
+
+    await recordUserAction(req, 'user.reactivate');
+
+    res.json({
+      success: true,
+      message: 'User reactivated'
+    });
+
+  } catch (error) {
+    logger.error('Error reactivating user:', error);
+    res.status(500).json({
+      error: 'Failed to reactivate user',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:userId/role
+ * Promote to or demote from admin
+ */
+router.put('/users/:userId/role', loadTargetUser, rejectSelf, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Allowed: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        'UPDATE users SET role = $1 WHERE id = $2',
+        [role, req.targetUser.id]
+      );
+
+    } finally {
+      client.release();
+    }
+
+    await recordUserAction(req, 'user.role_change', { from: req.targetUser.role, to: role });
+
+    res.json({
+      success: true,
+      message: `Role changed to ${role}`
+    });
+
+  } catch (error) {
+    logger.error('Error changing user role:', error);
+    res.status(500).json({
+      error: 'Failed to change user role',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/force-password-reset
+ * Invalidate the current password, sign the user out and email a reset link
+ */
+router.post('/users/:userId/force-password-reset', loadTargetUser, rejectSelf, async (req, res) => {
+  try {
+    // Replace the hash with one nobody knows, so only the reset link works
+    const passwordHash = await bcrypt.hash(randomToken(), 10);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        'UPDATE users SET password_hash = $1 WHERE id = $2',
+        [passwordHash, req.targetUser.id]
+      );
+
+    } finally {
+      client.release();
+    }
+
+    await sessions.revokeAllSessions(req.targetUser.id);
+
+    const { token, expiresInMinutes } = await userTokens.issue(req.targetUser.id, 'password_reset');
+
+    let emailSent = true;
+    try {
+      await mailer.sendPasswordResetEmail(req.targetUser, token, expiresInMinutes);
+    } catch (error) {
+      emailSent = false;
+      logger.error(`Failed to send password reset email to ${req.targetUser.email}:`, error);
+    }
+
+    await recordUserAction(req, 'user.force_password_reset', { emailSent });
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Password invalidated and reset link sent'
+        : 'Password invalidated, but the reset email could not be sent',
+      emailSent
+    });
+
+  } catch (error) {
+    logger.error('Error forcing password reset:', error);
+    res.status(500).json({
+      error: 'Failed to force password reset',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:userId/unlock
+ * Lift a brute-force lockout
+ */
+router.post('/users/:userId/unlock', loadTargetUser, async (req, res) => {
+  try {
+    await lockout.unlockAccount(req.targetUser.email, { by: req.user.id });
+    await lockout.reset([{ bucket: 'totp', key: req.targetUser.id }]);
+
+    await recordUserAction(req, 'user.unlock');
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    logger.error('Error unlocking user:', error);
+    res.status(500).json({
+      error: 'Failed to unlock user',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:userId
+ * Permanently delete a user and the projects they own
+ */
+router.delete('/users/:userId', loadTargetUser, rejectSelf, async (req, res) => {
+  try {
+    const deletedProjects = await accounts.deleteAccount(req.targetUser.id);
+
+    await recordUserAction(req, 'user.delete', { deletedProjects });
+
+    res.json({
+      success: true,
+      message: 'User deleted',
+      deletedProjects
+    });
+
+  } catch (error) {
+    logger.error('Error deleting user:', error);
+    res.status(500).json({
+      error: 'Failed to delete user',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Audit trail, newest first
+ * Query: actorId, targetId, action, limit, offset
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    const { actorId, targetId, action } = req.query;
+
+    if (actorId && !UUID_REGEX.test(actorId)) {
+      return res.status(400).json({
+        error: 'Invalid actorId'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const entries = await audit.list({
+      actorId: actorId || null,
+      targetId: targetId || null,
+      action: action || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      entries,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    logger.error('Error listing audit log:', error);
+    res.status(500).json({
+      error: 'Failed to list audit log',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
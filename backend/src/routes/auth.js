@@ -1,13 +1,174 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const { SessionService } = require('../services/session.service');
+const { ApiTokenService, TOKEN_SCOPES } = require('../services/apitoken.service');
+const { UserTokenService } = require('../services/usertoken.service');
+const { MailerService } = require('../services/mailer.service');
+const { LockoutService } = require('../services/lockout.service');
+const { TwoFactorService } = require('../services/twofactor.service');
+const { OidcService } = require('../services/oidc.service');
+const { signChallengeToken, verifyChallengeToken } = require('../utils/jwt');
+const {
+  authenticate,
+  requireSession,
+  requireVerifiedEmail,
+  adminRoleFor,
+  UUID_REGEX
+} = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = '7d';
+const sessions = new SessionService();
+const apiTokens = new ApiTokenService();
+const userTokens = new UserTokenService();
+const mailer = new MailerService();
+const lockout = new LockoutService();
+const twoFactor = new TwoFactorService();
+const oidc = new OidcService();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+/**
+ * Client details recorded on a session
+ */
+function sessionMeta(req) {
+  return {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  };
+}
+
+/**
+ * Issue an email verification token and mail it.
+ * Mail failures are logged, not raised: the user can ask for a resend.
+ */
+async function sendVerification(user) {
+  try {
+    const { token } = await userTokens.issue(user.id, 'email_verification');
+    await mailer.sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${user.email}:`, error);
+  }
+}
+
+/**
+ * Answer 429 if any of the counters is blocking. Returns true when the
+ * request was rejected.
+ */
+async function rejectIfThrottled(req, res, entries) {
+  const blocked = await lockout.check(entries);
+
+  if (!blocked) {
+    return false;
+  }
+
+  logger.warn('Throttled auth attempt', {
+    path: req.path,
+    ip: req.ip,
+    bucket: blocked.bucket,
+    retryAfter: blocked.retryAfter
+  });
+
+  res.set('Retry-After', String(blocked.retryAfter));
+  res.status(429).json({
+    error: blocked.locked
+      ? 'Too many failed attempts. This account or address is temporarily locked.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter: blocked.retryAfter
+  });
+
+  return true;
+}
+
+/**
+ * Record a failed password check; when the account gets locked, email
+ * its owner a link to unlock it early.
+ */
+async function recordPasswordFailure(req, email, user = null) {
+  const newlyLocked = await lockout.recordFailure([
+    { bucket: 'password', key: email },
+    { bucket: 'login_ip', key: req.ip }
+  ], { ip: req.ip, path: req.path });
+
+  if (user && newlyLocked.some(entry => entry.bucket === 'password')) {
+    try {
+      const { token, expiresInMinutes } = await userTokens.issue(user.id, 'account_unlock');
+      await mailer.sendAccountLockedEmail(user, token, expiresInMinutes);
+    } catch (error) {
+      logger.error(`Failed to send unlock email to ${user.email}:`, error);
+    }
+  }
+}
+
+/**
+ * Final login step shared by password-only and two-factor logins:
+ * record the login and open a session
+ */
+async function completeLogin(req, user) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(
+      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+      [user.id]
+    );
+
+  } finally {
+    client.release();
+  }
+
+  // Open a session and issue access + refresh tokens
+  const { token, refreshToken, expiresIn } = await sessions.createSession(user, sessionMeta(req));
+
+  logger.info(`User logged in: ${user.email}`);
+
+  return {
+    success: true,
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      emailVerified: Boolean(user.email_verified_at)
+    },
+    token,
+    refreshToken,
+    expiresIn
+  };
+}
+
+/**
+ * Check the second factor for a user, with the same throttling as passwords.
+ * Sends the error response itself and returns false on failure.
+ */
+async function checkSecondFactor(req, res, userId, { code, recoveryCode }) {
+  if (!code && !recoveryCode) {
+    res.status(400).json({
+      error: 'Missing required field: code or recoveryCode'
+    });
+    return false;
+  }
+
+  const limits = [{ bucket: 'totp', key: userId }];
+
+  if (await rejectIfThrottled(req, res, limits)) {
+    return false;
+  }
+
+  if (!await twoFactor.verify(userId, { code, recoveryCode })) {
+    await lockout.recordFailure(limits, { ip: req.ip, path: req.path });
+
+    res.status(401).json({
+      error: 'Invalid authentication code'
+    });
+    return false;
+  }
+
+  await lockout.reset(limits);
+  return true;
+}
 
 /**
  * POST /api/auth/register
@@ -30,6 +191,15 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    const registerLimit = [{ bucket: 'register_ip', key: req.ip }];
+
+    if (await rejectIfThrottled(req, res, registerLimit)) {
+      return;
+    }
+
+    // Every registration attempt counts against the per-IP budget
+    await lockout.recordFailure(registerLimit, { ip: req.ip, path: req.path });
+
     const client = await pool.connect();
 
     try {
@@ -50,20 +220,18 @@ router.post('/register', async (req, res) => {
 
       // Create user
       const result = await client.query(
-        `INSERT INTO users (email, password_hash, username)
-         VALUES ($1, $2, $3)
-         RETURNING id, email, username, created_at`,
-        [email.toLowerCase(), passwordHash, username]
+        `INSERT INTO users (email, password_hash, username, role)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, email, username, role, created_at`,
+        [email.toLowerCase(), passwordHash, username, adminRoleFor(email)]
       );
 
       const user = result.rows[0];
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Open a session and issue access + refresh tokens
+      const { token, refreshToken, expiresIn } = await sessions.createSession(user, sessionMeta(req));
+
+      await sendVerification(user);
 
       logger.info(`New user registered: ${user.email}`);
 
@@ -72,9 +240,13 @@ router.post('/register', async (req, res) => {
         user: {
           id: user.id,
           email: user.email,
-          username: user.username
+          username: user.username,
+          role: user.role,
+          emailVerified: false
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       });
 
     } finally {
@@ -104,16 +276,27 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    const normalizedEmail = email.toLowerCase();
+
+    if (await rejectIfThrottled(req, res, [
+      { bucket: 'password', key: normalizedEmail },
+      { bucket: 'login_ip', key: req.ip }
+    ])) {
+      return;
+    }
+
     const client = await pool.connect();
 
     try {
       // Get user
       const result = await client.query(
         'SELECT * FROM users WHERE email = $1 AND is_active = true',
-        [email.toLowerCase()]
+        [normalizedEmail]
       );
 
       if (result.rows.length === 0) {
+        await recordPasswordFailure(req, normalizedEmail);
+
         return res.status(401).json({
           error: 'Invalid email or password'
         });
@@ -121,39 +304,32 @@ router.post('/login', async (req, res) => {
 
       const user = result.rows[0];
 
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
+      // Verify password (single sign-on accounts have none)
+      const isValidPassword = Boolean(user.password_hash) &&
+        await bcrypt.compare(password, user.password_hash);
 
       if (!isValidPassword) {
+        await recordPasswordFailure(req, normalizedEmail, user);
+
         return res.status(401).json({
           error: 'Invalid email or password'
         });
       }
 
-      // Update last login
-      await client.query(
-        'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-        [user.id]
-      );
+      await lockout.reset([{ bucket: 'password', key: normalizedEmail }]);
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user.id, email: user.email },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-      );
+      // Second step needed: hand out a challenge instead of a session
+      if (user.totp_enabled_at) {
+        logger.info(`Password accepted, awaiting second factor: ${user.email}`);
 
-      logger.info(`User logged in: ${user.email}`);
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user)
+        });
+      }
 
-      res.json({
-        success: true,
-        user: {
-          id: user.id,
-          email: user.email,
-          username: user.username
-        },
-        token
-      });
+      res.json(await completeLogin(req, user));
 
     } finally {
       client.release();
@@ -169,39 +345,153 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * GET /api/auth/me
- * Get current user info (requires authentication)
+ * POST /api/auth/login/2fa
+ * Second login step: exchange the challenge token and a TOTP or recovery
+ * code for a session
  */
-router.get('/me', async (req, res) => {
+router.post('/login/2fa', async (req, res) => {
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken) {
+      return res.status(400).json({
+        error: 'Missing required field: challengeToken'
+      });
+    }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (err) {
       return res.status(401).json({
-        error: 'No token provided'
+        error: 'Login challenge expired, please sign in again'
       });
     }
 
-    const token = authHeader.substring(7);
+    if (!await checkSecondFactor(req, res, challenge.userId, { code, recoveryCode })) {
+      return;
+    }
+
+    const client = await pool.connect();
+    let user;
 
-    // Verify token
-    let decoded;
     try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (err) {
+      const result = await client.query(
+        'SELECT * FROM users WHERE id = $1 AND is_active = true',
+        [challenge.userId]
+      );
+
+      user = result.rows[0];
+
+    } finally {
+      client.release();
+    }
+
+    if (!user) {
       return res.status(401).json({
-        error: 'Invalid or expired token'
+        error: 'User not found or inactive'
+      });
+    }
+
+    res.json(await completeLogin(req, user));
+
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Failed to login',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/providers
+ * List the single sign-on providers enabled on this server
+ */
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: oidc.listProviders()
+  });
+});
+
+/**
+ * Send the browser back to the frontend; results travel in the URL fragment
+ * so they never reach server logs
+ */
+function redirectToFrontend(res, params) {
+  res.redirect(`${FRONTEND_URL}/auth/callback#${new URLSearchParams(params)}`);
+}
+
+/**
+ * GET /api/auth/oidc/:provider
+ * Start single sign-on: redirect to the identity provider
+ */
+router.get('/oidc/:provider', async (req, res) => {
+  try {
+    const url = await oidc.beginLogin(req.params.provider);
+
+    res.redirect(url);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('OIDC login start error:', error);
+    res.status(500).json({
+      error: 'Failed to start single sign-on',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/callback
+ * Identity provider redirect target: sign the user in (linking or creating
+ * the account) and hand the tokens to the frontend
+ */
+router.get('/oidc/:provider/callback', async (req, res) => {
+  try {
+    const user = await oidc.completeLogin(req.params.provider, req.originalUrl);
+
+    if (user.totp_enabled_at) {
+      return redirectToFrontend(res, {
+        twoFactorRequired: 'true',
+        challengeToken: signChallengeToken(user)
       });
     }
 
+    const { token, refreshToken, expiresIn } = await completeLogin(req, user);
+
+    redirectToFrontend(res, { token, refreshToken, expiresIn });
+
+  } catch (error) {
+    logger.error('OIDC callback error:', error);
+
+    redirectToFrontend(res, {
+      error: error.status ? error.message : 'Single sign-on failed'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get current user info (requires authentication)
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
     const client = await pool.connect();
 
     try {
       // Get user
       const result = await client.query(
-        'SELECT id, email, username, created_at, last_login FROM users WHERE id = $1 AND is_active = true',
-        [decoded.userId]
+        `SELECT id, email, username, role, created_at, last_login, email_verified_at,
+           totp_enabled_at IS NOT NULL AS two_factor_enabled
+         FROM users WHERE id = $1 AND is_active = true`,
+        [req.user.id]
       );
 
       if (result.rows.length === 0) {
@@ -232,7 +522,7 @@ router.get('/me', async (req, res) => {
  * POST /api/auth/change-password
  * Change user password
  */
-router.post('/change-password', async (req, res) => {
+router.post('/change-password', authenticate, requireSession, async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
 
@@ -248,24 +538,20 @@ router.post('/change-password', async (req, res) => {
       });
     }
 
-    // Get token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'No token provided'
-      });
+    if (await rejectIfThrottled(req, res, [
+      { bucket: 'password', key: req.user.email },
+      { bucket: 'login_ip', key: req.ip }
+    ])) {
+      return;
     }
 
-    const token = authHeader.substring(7);
-    const decoded = jwt.verify(token, JWT_SECRET);
-
     const client = await pool.connect();
 
     try {
       // Get user
       const result = await client.query(
         'SELECT * FROM users WHERE id = $1',
-        [decoded.userId]
+        [req.user.id]
       );
 
       if (result.rows.length === 0) {
@@ -276,15 +562,25 @@ router.post('/change-password', async (req, res) => {
 
       const user = result.rows[0];
 
+      if (!user.password_hash) {
+        return res.status(400).json({
+          error: 'This account signs in with single sign-on. Use "forgot password" to set a password.'
+        });
+      }
+
       // Verify old password
       const isValidPassword = await bcrypt.compare(oldPassword, user.password_hash);
 
       if (!isValidPassword) {
+        await recordPasswordFailure(req, user.email, user);
+
         return res.status(401).json({
           error: 'Current password is incorrect'
         });
       }
 
+      await lockout.reset([{ bucket: 'password', key: user.email }]);
+
       // Hash new password
       const newPasswordHash = await bcrypt.hash(newPassword, 10);
 
@@ -294,11 +590,17 @@ router.post('/change-password', async (req, res) => {
         [newPasswordHash, user.id]
       );
 
+      // Sign out every other device
+      const revokedSessions = await sessions.revokeAllSessions(user.id, {
+        exceptSessionId: req.auth.sessionId
+      });
+
       logger.info(`Password changed for user: ${user.email}`);
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        revokedSessions
       });
 
     } finally {
@@ -314,4 +616,664 @@ router.post('/change-password', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification email
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Missing required field: token'
+      });
+    }
+
+    const userId = await userTokens.consume(token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification link'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+         WHERE id = $1
+         RETURNING email`,
+        [userId]
+      );
+
+      logger.info(`Email verified: ${result.rows[0]?.email}`);
+
+      res.json({
+        success: true,
+        message: 'Email address verified'
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Failed to verify email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a fresh verification email to the current user
+ */
+router.post('/resend-verification', authenticate, requireSession, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        error: 'Email address is already verified'
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link. Always answers the same way so the
+ * endpoint can't be used to find out which emails have accounts.
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required field: email'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT id, email, username FROM users WHERE email = $1 AND is_active = true',
+        [email.toLowerCase()]
+      );
+
+      if (result.rows.length > 0) {
+        const user = result.rows[0];
+        const { token, expiresInMinutes } = await userTokens.issue(user.id, 'password_reset');
+
+        try {
+          await mailer.sendPasswordResetEmail(user, token, expiresInMinutes);
+        } catch (error) {
+          logger.error(`Failed to send password reset email to ${user.email}:`, error);
+        }
+
+        logger.info(`Password reset requested for user: ${user.email}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a reset link has been sent'
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to request password reset',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from the reset email
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        error: 'Missing required fields: token, newPassword'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        error: 'New password must be at least 6 characters long'
+      });
+    }
+
+    const userId = await userTokens.consume(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid or expired reset link'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const newPasswordHash = await bcrypt.hash(newPassword, 10);
+
+      // Receiving the reset email also proves the address works
+      const result = await client.query(
+        `UPDATE users
+         SET password_hash = $1,
+             email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+         WHERE id = $2
+         RETURNING email`,
+        [newPasswordHash, userId]
+      );
+
+      // Sign out every device that used the old password
+      await sessions.revokeAllSessions(userId);
+
+      // A fresh password also lifts any lockout on the account
+      await lockout.unlockAccount(result.rows[0].email, { reason: 'password_reset' });
+
+      logger.info(`Password reset for user: ${result.rows[0]?.email}`);
+
+      res.json({
+        success: true,
+        message: 'Password has been reset, please log in again'
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Failed to reset password',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/unlock
+ * Lift an account lockout with the token from the lockout email
+ */
+router.post('/unlock', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        error: 'Missing required field: token'
+      });
+    }
+
+    const userId = await userTokens.consume(token, 'account_unlock');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid or expired unlock link'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT email FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      await lockout.unlockAccount(result.rows[0].email, { reason: 'email_link', ip: req.ip });
+
+      res.json({
+        success: true,
+        message: 'Account unlocked, you can log in again'
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Unlock account error:', error);
+    res.status(500).json({
+      error: 'Failed to unlock account',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start TOTP enrollment: returns the secret, otpauth URL and a QR code
+ */
+router.post('/2fa/setup', authenticate, requireSession, async (req, res) => {
+  try {
+    const setup = await twoFactor.beginSetup(req.user);
+
+    res.json({
+      success: true,
+      ...setup
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns the recovery codes, which are only shown this once.
+ */
+router.post('/2fa/enable', authenticate, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing required field: code'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.enable(req.user.id, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Failed to enable two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor off; needs a current code and the password
+ * (unless the account only signs in through single sign-on)
+ */
+router.post('/2fa/disable', authenticate, requireSession, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (await rejectIfThrottled(req, res, [
+      { bucket: 'password', key: req.user.email },
+      { bucket: 'login_ip', key: req.ip }
+    ])) {
+      return;
+    }
+
+    const client = await pool.connect();
+    let user;
+
+    try {
+      const result = await client.query(
+        'SELECT * FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      user = result.rows[0];
+
+    } finally {
+      client.release();
+    }
+
+    if (!user.totp_enabled_at) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.password_hash && !password) {
+      return res.status(400).json({
+        error: 'Missing required field: password'
+      });
+    }
+
+    if (user.password_hash && !await bcrypt.compare(password, user.password_hash)) {
+      await recordPasswordFailure(req, user.email, user);
+
+      return res.status(401).json({
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (!await checkSecondFactor(req, res, user.id, { code, recoveryCode })) {
+      return;
+    }
+
+    await twoFactor.disable(user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes; needs a current TOTP code
+ */
+router.post('/2fa/recovery-codes', authenticate, requireSession, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Missing required field: code'
+      });
+    }
+
+    if (!await checkSecondFactor(req, res, req.user.id, { code })) {
+      return;
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+
+  } catch (error) {
+    logger.error('Recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (the refresh token rotates)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Missing required field: refreshToken'
+      });
+    }
+
+    const tokens = await sessions.refresh(refreshToken, sessionMeta(req));
+
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', authenticate, requireSession, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.id, req.auth.sessionId);
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Failed to logout',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions (devices) for the current user
+ */
+router.get('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: rows.map(session => ({
+        ...session,
+        current: session.id === req.auth.sessionId
+      }))
+    });
+
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Revoke every session except the current one
+ */
+router.delete('/sessions', authenticate, requireSession, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.auth.sessionId
+    });
+
+    res.json({
+      success: true,
+      revoked
+    });
+
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Revoke a single session
+ */
+router.delete('/sessions/:sessionId', authenticate, requireSession, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = UUID_REGEX.test(sessionId) &&
+      await sessions.revokeSession(req.user.id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/tokens
+ * List personal access tokens
+ */
+router.get('/tokens', authenticate, requireSession, async (req, res) => {
+  try {
+    const tokens = await apiTokens.listTokens(req.user.id);
+
+    res.json({
+      success: true,
+      tokens,
+      availableScopes: TOKEN_SCOPES
+    });
+
+  } catch (error) {
+    logger.error('List API tokens error:', error);
+    res.status(500).json({
+      error: 'Failed to list API tokens',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create a personal access token (the secret is only shown once)
+ */
+router.post('/tokens', authenticate, requireSession, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = null } = req.body;
+
+    const token = await apiTokens.createToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      token
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Create API token error:', error);
+    res.status(500).json({
+      error: 'Failed to create API token',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:tokenId
+ * Revoke a personal access token
+ */
+router.delete('/tokens/:tokenId', authenticate, requireSession, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    const revoked = UUID_REGEX.test(tokenId) &&
+      await apiTokens.revokeToken(req.user.id, tokenId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke API token error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API token',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
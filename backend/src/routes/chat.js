@@ -3,17 +3,30 @@ const router = express.Router();
 const { Pool } = require('pg');
 const { AnythingLLMService } = require('../services/anythingllm.service');
 const { FileSystemService } = require('../services/filesystem.service');
+const { QuotaService } = require('../services/quota.service');
+const { resolveSettings } = require('../utils/projectSettings');
+const {
+  requireScope,
+  requireVerifiedEmail,
+  requireProjectAccess,
+  requireWritableProject,
+  UUID_REGEX
+} = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const anythingLLM = new AnythingLLMService();
 const fileSystem = new FileSystemService();
+const quotas = new QuotaService();
+
+// Session routes check access through the project the session belongs to
+const requireSessionProject = requireProjectAccess('editor', (req) => req.chatSession.project_id);
 
 /**
  * POST /api/chat/send
  * Send message to AI
  */
-router.post('/send', async (req, res) => {
+router.post('/send', requireScope('chat:send'), requireVerifiedEmail, requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
   try {
     const { projectId, message, context = 'relevant', mode = 'chat' } = req.body;
 
@@ -29,32 +42,44 @@ router.post('/send', async (req, res) => {
     const session = await getOrCreateSession(projectId);
 
     // Save user message
-    await saveMessage(session.id, 'user', message);
+    await saveMessage(session.id, 'user', message, { userId: req.user.id });
+
+    // Send to AI with the project's settings; 'all' widens retrieval
+    const settings = resolveSettings(req.project.settings);
 
-    // Send to AI
     const response = await anythingLLM.sendMessage(projectId, message, {
       includeFiles: context === 'all',
-      contextSize: context === 'all' ? 10 : 5,
-      mode
+      contextSize: context === 'all' ? settings.retrievalTopK * 2 : settings.retrievalTopK,
+      mode,
+      settings
     });
 
+    // Generated files have to fit the project owner's quotas; the reply is
+    // kept either way and files that don't fit are reported as skipped
+    const { accepted: generatedFiles, skipped: overQuota } = await quotas.fitFiles(
+      projectId,
+      response.generatedFiles || []
+    );
+    const skippedFiles = [...(response.skippedFiles || []), ...overQuota];
+
     // Save assistant message
     const assistantMsg = await saveMessage(
       session.id,
       'assistant',
       response.message,
-      { files: response.generatedFiles }
+      { files: generatedFiles, skippedFiles }
     );
 
     // Save generated files
-    if (response.generatedFiles && response.generatedFiles.length > 0) {
+    if (generatedFiles.length > 0) {
       const savedFiles = await fileSystem.saveFiles(
         projectId,
-        response.generatedFiles
+        generatedFiles,
+        { authorType: 'ai', userId: req.user.id, messageId: assistantMsg.id }
       );
 
       // Update vector DB
-      await anythingLLM.updateProjectContext(projectId, response.generatedFiles);
+      await anythingLLM.updateProjectContext(projectId, generatedFiles);
 
       // Log file generation
       for (const file of savedFiles) {
@@ -67,12 +92,19 @@ router.post('/send', async (req, res) => {
     res.json({
       success: true,
       message: response.message,
-      generatedFiles: response.generatedFiles,
+      generatedFiles,
+      skippedFiles,
       thinking: response.thinking,
       sessionId: session.id
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     logger.error('Chat error:', error);
     res.status(500).json({
       error: 'Failed to process chat message',
@@ -85,7 +117,7 @@ router.post('/send', async (req, res) => {
  * GET /api/chat/history/:projectId
  * Get chat history for project
  */
-router.get('/history/:projectId', async (req, res) => {
+router.get('/history/:projectId', requireScope('chat:read'), requireProjectAccess('viewer'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
@@ -127,7 +159,7 @@ router.get('/history/:projectId', async (req, res) => {
  * DELETE /api/chat/session/:sessionId
  * Delete chat session
  */
-router.delete('/session/:sessionId', async (req, res) => {
+router.delete('/session/:sessionId', requireScope('chat:send'), loadSession, requireSessionProject, async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -156,6 +188,49 @@ router.delete('/session/:sessionId', async (req, res) => {
 
 // Helper functions
 
+/**
+ * Load the chat session named in the route so its project can be checked
+ */
+async function loadSession(req, res, next) {
+  try {
+    const { sessionId } = req.params;
+
+    if (!UUID_REGEX.test(sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT * FROM chat_sessions WHERE id = $1',
+        [sessionId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Session not found'
+        });
+      }
+
+      req.chatSession = result.rows[0];
+      next();
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error loading session:', error);
+    res.status(500).json({
+      error: 'Failed to load session',
+      details: error.message
+    });
+  }
+}
+
 async function getOrCreateSession(projectId) {
   const client = await pool.connect();
 
@@ -1,17 +1,90 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const FileType = require('file-type');
 const { FileSystemService } = require('../services/filesystem.service');
 const { VectorDBService } = require('../services/vectordb.service');
+const { QuotaService, LIMITS } = require('../services/quota.service');
+const { RevisionService } = require('../services/revision.service');
+const {
+  requireScope,
+  requireProjectAccess,
+  requireWritableProject,
+  UUID_REGEX
+} = require('../middleware/auth');
+const { detectLanguage, isBinary, isAssetType } = require('../utils/language');
+const { decodeCursor } = require('../utils/pagination');
+const { parseIfMatch } = require('../utils/etag');
+const { normalizeFilePath, normalizeFolderPath } = require('../utils/paths');
+const { signPreviewToken, PREVIEW_TOKEN_TTL_SECONDS } = require('../utils/jwt');
 const { logger } = require('../utils/logger');
 
 const fileSystem = new FileSystemService();
 const vectorDB = new VectorDBService();
+const quotas = new QuotaService();
+const revisions = new RevisionService();
+
+// Asset uploads are held in memory and stored in files.data. Anything
+// over the per-file quota is cut off while it is still being received.
+const assetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: LIMITS.maxFileSize || Infinity,
+    files: 20
+  }
+}).array('files');
+
+/**
+ * Run multer and answer upload errors (e.g. too large) with 4xx
+ */
+function handleAssetUpload(req, res, next) {
+  assetUpload(req, res, (err) => {
+    if (err) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: err.message
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'Missing file upload (field: files)'
+      });
+    }
+
+    next();
+  });
+}
+
+/**
+ * 409 for a FileConflictError, with the stored version of each file so
+ * the client can merge
+ */
+function sendConflict(res, error) {
+  res.status(409).json({
+    error: error.message,
+    code: 'FILE_CONFLICT',
+    conflicts: error.conflicts
+  });
+}
+
+/**
+ * 404 for revision ids that aren't UUIDs, before they reach the database
+ */
+function checkRevisionId(req, res, next) {
+  if (!UUID_REGEX.test(req.params.revisionId)) {
+    return res.status(404).json({
+      error: 'Revision not found'
+    });
+  }
+
+  next();
+}
 
 /**
  * GET /api/files/:projectId
  * Get all files for a project
  */
-router.get('/:projectId', async (req, res) => {
+router.get('/:projectId', requireScope('files:read'), requireProjectAccess('viewer'), async (req, res) => {
   try {
     const { projectId } = req.params;
     const { tree = false } = req.query;
@@ -44,28 +117,222 @@ router.get('/:projectId', async (req, res) => {
 });
 
 /**
- * GET /api/files/:projectId/:path
- * Get specific file content
+ * GET /api/files/:projectId/history/:path
+ * Revisions of a file, newest first. Query: limit, cursor
+ */
+router.get('/:projectId/history/*', requireScope('files:read'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const filePath = normalizeFilePath(req.params[0]);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    let before = null;
+
+    if (req.query.cursor) {
+      before = decodeCursor(req.query.cursor);
+
+      if (!before || !UUID_REGEX.test(before.id) || Number.isNaN(Date.parse(before.value))) {
+        return res.status(400).json({
+          error: 'Invalid cursor'
+        });
+      }
+    }
+
+    const history = await revisions.getHistory(projectId, filePath, { limit, before });
+
+    res.json({
+      success: true,
+      ...history
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error getting file history:', error);
+    res.status(500).json({
+      error: 'Failed to get file history',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:projectId/revisions/:revisionId
+ * A single revision including its content
+ */
+router.get('/:projectId/revisions/:revisionId', requireScope('files:read'), requireProjectAccess('viewer'), checkRevisionId, async (req, res) => {
+  try {
+    const revision = await revisions.getRevision(req.params.projectId, req.params.revisionId);
+
+    res.json({
+      success: true,
+      revision
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error getting revision:', error);
+    res.status(500).json({
+      error: 'Failed to get revision',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:projectId/diff
+ * Unified diff between two revisions.
+ * Query: from (revision id), to (revision id, or "current" for the file as it is now - default)
  */
-router.get('/:projectId/*', async (req, res) => {
+router.get('/:projectId/diff', requireScope('files:read'), requireProjectAccess('viewer'), async (req, res) => {
   try {
     const { projectId } = req.params;
-    const filePath = req.params[0]; // Everything after projectId
+    const { from, to = 'current' } = req.query;
 
-    if (!filePath) {
+    if (!from) {
       return res.status(400).json({
-        error: 'File path is required'
+        error: 'Missing required query parameter: from'
       });
     }
 
-    const file = await fileSystem.readFile(projectId, filePath);
+    if (!UUID_REGEX.test(from) || (to !== 'current' && !UUID_REGEX.test(to))) {
+      return res.status(404).json({
+        error: 'Revision not found'
+      });
+    }
+
+    const fromRevision = await revisions.getRevision(projectId, from);
+    let toSide;
+
+    if (to === 'current') {
+      // A deleted file compares against empty content
+      const current = await fileSystem.readFile(projectId, fromRevision.path).catch(() => null);
+
+      toSide = {
+        label: `${fromRevision.path} (current)`,
+        content: current?.content || ''
+      };
+    } else {
+      const toRevision = await revisions.getRevision(projectId, to);
+
+      toSide = {
+        label: `${toRevision.path}@${toRevision.created_at.toISOString()}`,
+        content: toRevision.content
+      };
+    }
+
+    const { patch, stats } = revisions.diff(
+      {
+        label: `${fromRevision.path}@${fromRevision.created_at.toISOString()}`,
+        content: fromRevision.content
+      },
+      toSide
+    );
+
+    res.json({
+      success: true,
+      from,
+      to,
+      patch,
+      stats
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error diffing revisions:', error);
+    res.status(500).json({
+      error: 'Failed to diff revisions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:projectId/revisions/:revisionId/restore
+ * Save a revision's content as the file's current version (recorded as a
+ * new revision, so the restore itself can be undone)
+ */
+router.post('/:projectId/revisions/:revisionId/restore', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, checkRevisionId, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const revision = await revisions.getRevision(projectId, req.params.revisionId);
+    const language = detectLanguage(revision.path);
+
+    await quotas.checkFiles(projectId, [{ path: revision.path, content: revision.content }]);
+
+    const savedFile = await fileSystem.saveFile(
+      projectId,
+      revision.path,
+      revision.content,
+      language,
+      { userId: req.user.id }
+    );
+
+    await vectorDB.upsertFiles(projectId, [{
+      path: revision.path,
+      content: revision.content,
+      language
+    }]);
 
     res.json({
+      success: true,
+      file: savedFile,
+      restoredFrom: revision.id
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error restoring revision:', error);
+    res.status(500).json({
+      error: 'Failed to restore revision',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/files/:projectId/content/:path
+ * Get specific file content. Served under content/ so files in folders
+ * named like the routes above (history/, revisions/, diff) can be read.
+ */
+router.get('/:projectId/content/*', requireScope('files:read'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const filePath = normalizeFilePath(req.params[0]); // Everything after content/
+
+    const file = await fileSystem.readFile(projectId, filePath);
+
+    res.set('ETag', file.etag).json({
       success: true,
       file
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     if (error.message.includes('not found')) {
       return res.status(404).json({
         error: 'File not found',
@@ -83,24 +350,31 @@ router.get('/:projectId/*', async (req, res) => {
 
 /**
  * POST /api/files/update
- * Create or update a file
+ * Create or update a file. With If-Match, only if the stored file still
+ * has that ETag; otherwise 409 with the stored version.
  */
-router.post('/update', async (req, res) => {
+router.post('/update', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
   try {
-    const { projectId, path, content, language } = req.body;
+    const { projectId, content, language } = req.body;
 
-    if (!projectId || !path || content === undefined) {
+    if (!projectId || !req.body.path || content === undefined) {
       return res.status(400).json({
         error: 'Missing required fields: projectId, path, content'
       });
     }
 
+    const path = normalizeFilePath(req.body.path);
+
+    await quotas.checkFiles(projectId, [{ path, content }]);
+
     // Save file
     const savedFile = await fileSystem.saveFile(
       projectId,
       path,
       content,
-      language
+      language,
+      { userId: req.user.id },
+      { ifMatch: parseIfMatch(req.get('If-Match')) }
     );
 
     // Update vector DB
@@ -110,12 +384,22 @@ router.post('/update', async (req, res) => {
       language
     }]);
 
-    res.json({
+    res.set('ETag', savedFile.etag).json({
       success: true,
       file: savedFile
     });
 
   } catch (error) {
+    if (error.conflicts) {
+      return sendConflict(res, error);
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     logger.error('Error updating file:', error);
     res.status(500).json({
       error: 'Failed to update file',
@@ -126,20 +410,42 @@ router.post('/update', async (req, res) => {
 
 /**
  * POST /api/files/batch
- * Create or update multiple files at once
+ * Create or update multiple files at once. With If-Match (a list of
+ * ETags), existing files must match one of them; on any conflict nothing
+ * is saved and 409 lists every conflicting file.
  */
-router.post('/batch', async (req, res) => {
+router.post('/batch', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
   try {
-    const { projectId, files } = req.body;
+    const { projectId } = req.body;
 
-    if (!projectId || !Array.isArray(files)) {
+    if (!projectId || !Array.isArray(req.body.files)) {
       return res.status(400).json({
         error: 'Missing required fields: projectId, files (array)'
       });
     }
 
+    const files = req.body.files.map((file, i) => ({
+      ...file,
+      path: normalizeFilePath(file?.path, `files[${i}].path`)
+    }));
+
+    const paths = new Set(files.map(f => f.path));
+
+    if (paths.size !== files.length) {
+      return res.status(400).json({
+        error: 'files contains the same path more than once'
+      });
+    }
+
+    await quotas.checkFiles(projectId, files);
+
     // Save all files
-    const savedFiles = await fileSystem.saveFiles(projectId, files);
+    const savedFiles = await fileSystem.saveFiles(
+      projectId,
+      files,
+      { userId: req.user.id },
+      { ifMatch: parseIfMatch(req.get('If-Match')) }
+    );
 
     // Update vector DB
     await vectorDB.upsertFiles(projectId, files);
@@ -151,6 +457,16 @@ router.post('/batch', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.conflicts) {
+      return sendConflict(res, error);
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     logger.error('Error batch updating files:', error);
     res.status(500).json({
       error: 'Failed to batch update files',
@@ -163,16 +479,10 @@ router.post('/batch', async (req, res) => {
  * DELETE /api/files/:projectId/:path
  * Delete a file
  */
-router.delete('/:projectId/*', async (req, res) => {
+router.delete('/:projectId/*', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
   try {
     const { projectId } = req.params;
-    const filePath = req.params[0];
-
-    if (!filePath) {
-      return res.status(400).json({
-        error: 'File path is required'
-      });
-    }
+    const filePath = normalizeFilePath(req.params[0]);
 
     // Delete file
     const deletedFile = await fileSystem.deleteFile(projectId, filePath);
@@ -186,6 +496,12 @@ router.delete('/:projectId/*', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     if (error.message.includes('not found')) {
       return res.status(404).json({
         error: 'File not found',
@@ -201,11 +517,207 @@ router.delete('/:projectId/*', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/files/directories
+ * Create an empty folder
+ */
+router.post('/directories', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const path = normalizeFolderPath(req.body.path);
+
+    const directory = await fileSystem.createDirectory(projectId, path);
+
+    res.status(201).json({
+      success: true,
+      directory
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error creating folder:', error);
+    res.status(500).json({
+      error: 'Failed to create folder',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/directories/move
+ * Rename or move a folder and everything in it
+ */
+router.post('/directories/move', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const oldPath = normalizeFolderPath(req.body.oldPath, 'oldPath');
+    const newPath = normalizeFolderPath(req.body.newPath, 'newPath');
+
+    const moved = await fileSystem.moveDirectory(projectId, oldPath, newPath);
+
+    // Embeddings are keyed by path
+    await vectorDB.moveFiles(projectId, moved);
+
+    res.json({
+      success: true,
+      path: newPath,
+      moved: moved.map(f => ({ from: f.oldPath, to: f.path }))
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error moving folder:', error);
+    res.status(500).json({
+      error: 'Failed to move folder',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/files/directories
+ * Delete a folder and everything in it. Body: { projectId, path }
+ */
+router.delete('/directories', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
+  try {
+    const { projectId } = req.body;
+    const path = normalizeFolderPath(req.body.path);
+
+    const deleted = await fileSystem.deleteDirectory(projectId, path);
+
+    await vectorDB.deleteFiles(projectId, deleted);
+
+    res.json({
+      success: true,
+      deleted
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error deleting folder:', error);
+    res.status(500).json({
+      error: 'Failed to delete folder',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:projectId/upload
+ * Multipart upload (field: files, up to 20) into the project root or
+ * the folder given as dir. Text files are stored as regular files;
+ * images, fonts, audio, video and PDFs as binary assets.
+ */
+router.post('/:projectId/upload', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, handleAssetUpload, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const dir = req.body.dir ? normalizeFolderPath(req.body.dir, 'dir') : '';
+
+    const uploads = [];
+
+    for (const upload of req.files) {
+      // Browsers may send a client-side path; only the name is kept
+      const name = upload.originalname.split(/[\\/]/).pop();
+      const path = normalizeFilePath(dir ? `${dir}/${name}` : name, `File name ${upload.originalname}`);
+      const detected = await FileType.fromBuffer(upload.buffer);
+
+      if (!detected && !isBinary(upload.buffer)) {
+        uploads.push({ path, content: upload.buffer.toString('utf8'), language: detectLanguage(path) });
+        continue;
+      }
+
+      const mimeType = detected ? detected.mime : 'application/octet-stream';
+
+      if (!isAssetType(mimeType)) {
+        return res.status(415).json({
+          error: `Unsupported file type for ${name}: ${mimeType}`
+        });
+      }
+
+      uploads.push({ path, data: upload.buffer, mimeType, is_binary: true });
+    }
+
+    await quotas.checkFiles(projectId, uploads.map(f => ({
+      path: f.path,
+      size: f.is_binary ? f.data.length : Buffer.byteLength(f.content, 'utf8')
+    })));
+
+    const savedFiles = [];
+
+    for (const file of uploads) {
+      savedFiles.push(file.is_binary
+        ? await fileSystem.saveBinaryFile(projectId, file.path, file.data, file.mimeType, { userId: req.user.id })
+        : await fileSystem.saveFile(projectId, file.path, file.content, file.language, { userId: req.user.id }));
+    }
+
+    // Only text files are embedded
+    await vectorDB.upsertFiles(projectId, uploads.filter(f => !f.is_binary));
+
+    res.status(201).json({
+      success: true,
+      files: savedFiles.map(({ content, data, ...file }) => file)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error uploading files:', error);
+    res.status(500).json({
+      error: 'Failed to upload files',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/files/:projectId/preview-session
+ * Set the cookie that lets the preview iframe load
+ * /api/files/:projectId/raw/* by relative URL
+ */
+router.post('/:projectId/preview-session', requireScope('files:read'), requireProjectAccess('viewer'), (req, res) => {
+  const { projectId } = req.params;
+  const secure = process.env.NODE_ENV === 'production';
+  const maxAge = PREVIEW_TOKEN_TTL_SECONDS * 1000;
+
+  res.cookie('preview_token', signPreviewToken(req.user.id, projectId), {
+    httpOnly: true,
+    secure,
+    // The preview is usually served from another origin than the API
+    sameSite: secure ? 'none' : 'lax',
+    path: `/api/files/${projectId}/raw`,
+    maxAge
+  });
+
+  res.json({
+    success: true,
+    expiresAt: new Date(Date.now() + maxAge).toISOString()
+  });
+});
+
 /**
  * POST /api/files/search
  * Search files by content (semantic search)
  */
-router.post('/search', async (req, res) => {
+router.post('/search', requireScope('files:read'), requireProjectAccess('viewer'), async (req, res) => {
   try {
     const { projectId, query, limit = 5 } = req.body;
 
@@ -234,46 +746,59 @@ router.post('/search', async (req, res) => {
 
 /**
  * POST /api/files/rename
- * Rename/move a file
+ * Rename/move a file. 409 if newPath is taken; with If-Match, also if the
+ * file changed since it was loaded.
  */
-router.post('/rename', async (req, res) => {
+router.post('/rename', requireScope('files:write'), requireProjectAccess('editor'), requireWritableProject, async (req, res) => {
   try {
-    const { projectId, oldPath, newPath } = req.body;
+    const { projectId } = req.body;
 
-    if (!projectId || !oldPath || !newPath) {
+    if (!projectId || !req.body.oldPath || !req.body.newPath) {
       return res.status(400).json({
         error: 'Missing required fields: projectId, oldPath, newPath'
       });
     }
 
-    // Read old file
-    const oldFile = await fileSystem.readFile(projectId, oldPath);
+    const oldPath = normalizeFilePath(req.body.oldPath, 'oldPath');
+    const newPath = normalizeFilePath(req.body.newPath, 'newPath');
 
-    // Save with new path
-    const newFile = await fileSystem.saveFile(
-      projectId,
-      newPath,
-      oldFile.content,
-      oldFile.language
-    );
+    if (oldPath === newPath) {
+      return res.status(400).json({
+        error: 'newPath is the same as oldPath'
+      });
+    }
 
-    // Delete old file
-    await fileSystem.deleteFile(projectId, oldPath);
+    // File and history move together; an existing target is a 409
+    const file = await fileSystem.moveFile(projectId, oldPath, newPath, {
+      ifMatch: parseIfMatch(req.get('If-Match'))
+    });
 
-    // Update vector DB
-    await vectorDB.deleteFiles(projectId, [oldPath]);
-    await vectorDB.upsertFiles(projectId, [{
-      path: newPath,
-      content: oldFile.content,
-      language: oldFile.language
-    }]);
+    // Embeddings are keyed by path
+    await vectorDB.moveFiles(projectId, [{ ...file, oldPath }]);
 
-    res.json({
+    res.set('ETag', file.etag).json({
       success: true,
-      file: newFile
+      file
     });
 
   } catch (error) {
+    if (error.conflicts) {
+      return sendConflict(res, error);
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'File not found',
+        details: error.message
+      });
+    }
+
     logger.error('Error renaming file:', error);
     res.status(500).json({
       error: 'Failed to rename file',
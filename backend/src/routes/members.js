@@ -0,0 +1,312 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { Pool } = require('pg');
+const { MailerService } = require('../services/mailer.service');
+const {
+  requireScope,
+  requireProjectAccess,
+  PROJECT_ROLES,
+  UUID_REGEX
+} = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const mailer = new MailerService();
+
+/**
+ * GET /api/projects/:id/members
+ * List members and pending invitations
+ */
+router.get('/', requireScope('projects:read'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT
+          pm.user_id,
+          u.email,
+          u.username,
+          pm.role,
+          pm.accepted_at,
+          pm.created_at,
+          pm.user_id = p.user_id as is_creator
+        FROM project_members pm
+        JOIN users u ON u.id = pm.user_id
+        JOIN projects p ON p.id = pm.project_id
+        WHERE pm.project_id = $1
+        ORDER BY pm.accepted_at IS NULL, pm.created_at ASC
+      `, [id]);
+
+      res.json({
+        success: true,
+        members: result.rows
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error listing members:', error);
+    res.status(500).json({
+      error: 'Failed to list members',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/:id/members
+ * Invite an existing user by email
+ */
+router.post('/', requireScope('projects:write'), requireProjectAccess('owner'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required field: email'
+      });
+    }
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${PROJECT_ROLES.join(', ')}`
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const userResult = await client.query(
+        'SELECT id, email, username FROM users WHERE email = $1 AND is_active = true',
+        [email.toLowerCase()]
+      );
+
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'No user with this email'
+        });
+      }
+
+      const invitee = userResult.rows[0];
+
+      const result = await client.query(
+        `INSERT INTO project_members (project_id, user_id, role, invited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (project_id, user_id) DO NOTHING
+         RETURNING *`,
+        [id, invitee.id, role, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(409).json({
+          error: 'User is already a member or has a pending invitation'
+        });
+      }
+
+      try {
+        await mailer.sendProjectInvitation(invitee, req.user, req.project, role);
+      } catch (error) {
+        logger.error(`Failed to send invitation email to ${invitee.email}:`, error);
+      }
+
+      logger.info(`Invited ${invitee.email} to project ${id} as ${role}`);
+
+      res.status(201).json({
+        success: true,
+        member: {
+          ...result.rows[0],
+          email: invitee.email,
+          username: invitee.username
+        }
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error inviting member:', error);
+    res.status(500).json({
+      error: 'Failed to invite member',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/:id/members/accept
+ * Accept a pending invitation for the authenticated user
+ */
+router.post('/accept', requireScope('projects:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return res.status(404).json({
+        error: 'Invitation not found'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE project_members
+         SET accepted_at = CURRENT_TIMESTAMP
+         WHERE project_id = $1 AND user_id = $2 AND accepted_at IS NULL
+         RETURNING *`,
+        [id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Invitation not found'
+        });
+      }
+
+      logger.info(`User ${req.user.email} joined project ${id}`);
+
+      res.json({
+        success: true,
+        member: result.rows[0]
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error accepting invitation:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/members/:userId
+ * Change a member's role
+ */
+router.put('/:userId', requireScope('projects:write'), requireProjectAccess('owner'), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+
+    if (!PROJECT_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: `Invalid role. Must be one of: ${PROJECT_ROLES.join(', ')}`
+      });
+    }
+
+    if (userId === req.project.user_id) {
+      return res.status(400).json({
+        error: 'The project creator always remains an owner'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = UUID_REGEX.test(userId) && await client.query(
+        `UPDATE project_members
+         SET role = $1
+         WHERE project_id = $2 AND user_id = $3
+         RETURNING *`,
+        [role, id, userId]
+      );
+
+      if (!result || result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Member not found'
+        });
+      }
+
+      logger.info(`Changed role of ${userId} in project ${id} to ${role}`);
+
+      res.json({
+        success: true,
+        member: result.rows[0]
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error changing member role:', error);
+    res.status(500).json({
+      error: 'Failed to change member role',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/members/:userId
+ * Remove a member (owners), or leave / decline an invitation (yourself)
+ */
+router.delete('/:userId', requireScope('projects:write'), (req, res, next) => {
+  // Members may always remove themselves, even before accepting
+  if (req.params.userId === req.user.id) {
+    return next();
+  }
+
+  return requireProjectAccess('owner')(req, res, next);
+}, async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    if (!UUID_REGEX.test(id) || !UUID_REGEX.test(userId)) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `DELETE FROM project_members pm
+         USING projects p
+         WHERE p.id = pm.project_id
+           AND pm.project_id = $1
+           AND pm.user_id = $2
+           AND pm.user_id <> p.user_id
+         RETURNING pm.*`,
+        [id, userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Member not found (the project creator cannot be removed)'
+        });
+      }
+
+      logger.info(`Removed ${userId} from project ${id}`);
+
+      res.json({
+        success: true,
+        message: 'Member removed'
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error removing member:', error);
+    res.status(500).json({
+      error: 'Failed to remove member',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
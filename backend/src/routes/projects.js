@@ -1,50 +1,813 @@
 const express = require('express');
 const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
 const { Pool } = require('pg');
 const { AnythingLLMService } = require('../services/anythingllm.service');
 const { FileSystemService } = require('../services/filesystem.service');
-const { VectorDBService } = require('../services/vectordb.service');
+const { TrashService } = require('../services/trash.service');
+const { TemplateService } = require('../services/template.service');
+const { ArchiveService, CONFLICT_MODES } = require('../services/archive.service');
+const { ActivityService } = require('../services/activity.service');
+const { RepoImportService } = require('../services/repoimport.service');
+const { QuotaService } = require('../services/quota.service');
+const { AuditService } = require('../services/audit.service');
+const {
+  requireScope,
+  requireProjectAccess,
+  requireWritableProject,
+  requireAdmin,
+  UUID_REGEX
+} = require('../middleware/auth');
+const { SETTINGS_SCHEMA, validateSettings } = require('../utils/projectSettings');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const memberRoutes = require('./members');
 const { logger } = require('../utils/logger');
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 const anythingLLM = new AnythingLLMService();
 const fileSystem = new FileSystemService();
-const vectorDB = new VectorDBService();
+const trash = new TrashService();
+const templates = new TemplateService();
+const archives = new ArchiveService();
+const activity = new ActivityService();
+const repoImports = new RepoImportService();
+const quotas = new QuotaService();
+const audit = new AuditService();
+
+// Zip and git bundle uploads are staged on disk (the backend_uploads volume in Docker)
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads');
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const archiveUpload = multer({
+  dest: UPLOAD_DIR,
+  limits: {
+    fileSize: parseInt(process.env.IMPORT_MAX_ZIP_SIZE) || 50 * 1024 * 1024,
+    files: 1
+  }
+}).single('file');
+
+// Sort keys for the project list. updated_at counts file edits too.
+const PROJECT_SORTS = {
+  updated_at: { expr: 'GREATEST(p.updated_at, fs.last_file_update)', type: 'timestamp' },
+  last_accessed: { expr: 'COALESCE(p.last_accessed, p.created_at)', type: 'timestamp' },
+  size: { expr: 'fs.size_bytes', type: 'bigint' }
+};
+
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9._-]{0,31}$/;
+
+/**
+ * Lowercase, trim and dedupe tags. Returns { tags } or { error }.
+ */
+function normalizeTags(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'tags must be an array of strings' };
+  }
+
+  const tags = [...new Set(input.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A project can have at most ${MAX_TAGS} tags` };
+  }
+
+  const invalid = tags.find(tag => !TAG_PATTERN.test(tag));
+
+  if (invalid) {
+    return { error: `Invalid tag "${invalid}": use up to 32 letters, digits, ".", "_" or "-"` };
+  }
+
+  return { tags };
+}
+
+/**
+ * Settings keys whose value differs, as { key: { from, to } }
+ */
+function diffSettings(before, after) {
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Check a decoded cursor value can be cast to the sort column's type
+ */
+function isValidCursorValue(value, type) {
+  if (type === 'bigint') {
+    return /^\d+$/.test(String(value));
+  }
+
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Run multer and answer upload errors (e.g. too large) with 4xx.
+ * The staged file is removed once the response is done, unless a route
+ * hands it off to a background job (req.keepUpload).
+ */
+function handleArchiveUpload(req, res, next) {
+  archiveUpload(req, res, (err) => {
+    if (err) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: err.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Missing file upload (field: file)'
+      });
+    }
+
+    res.on('close', () => {
+      if (!req.keepUpload) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      }
+    });
+
+    next();
+  });
+}
+
+/**
+ * Importing into an existing project needs editor access to it, and the
+ * project must not be archived
+ */
+function requireImportTarget(req, res, next) {
+  if (!req.body.projectId) {
+    return next();
+  }
+
+  return requireProjectAccess('editor')(req, res, () => requireWritableProject(req, res, next));
+}
+
+/**
+ * Create the project an import writes into, with its owner membership
+ * and AnythingLLM workspace, once the files are known to fit the quotas
+ */
+async function createImportedProject(userId, name, description, files) {
+  await quotas.checkNewProject(userId, files);
+
+  const client = await pool.connect();
+  let project;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO projects (user_id, name, description)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [userId, name, description]
+    );
+
+    project = result.rows[0];
+
+    await client.query(
+      `INSERT INTO project_members (project_id, user_id, role, accepted_at)
+       VALUES ($1, $2, 'owner', CURRENT_TIMESTAMP)`,
+      [project.id, userId]
+    );
+
+    await client.query('COMMIT');
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await anythingLLM.ensureWorkspace(project.id, project.name);
+
+  return project;
+}
+
+/**
+ * Check the target and conflict mode shared by every import route.
+ * Returns an error message or null.
+ */
+function checkImportRequest({ projectId, name, conflict = 'overwrite' }) {
+  if (!projectId && !name) {
+    return 'Provide either projectId or a name for the new project';
+  }
+
+  if (!CONFLICT_MODES.includes(conflict)) {
+    return `Invalid conflict mode. Allowed: ${CONFLICT_MODES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * GET /api/projects
+ * List projects the authenticated user owns or has been shared.
+ * Query: q (name/description search), tag (repeatable, all must match),
+ * starred (true | false), shared (true: shared with the user, false: own),
+ * archived (false | true | all, default false),
+ * sort (updated_at | last_accessed | size), order (asc | desc),
+ * limit, cursor (nextCursor of the previous page)
+ */
+router.get('/', requireScope('projects:read'), async (req, res) => {
+  try {
+    const { q, starred, shared, archived = 'false', sort = 'updated_at', order = 'desc', cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const sortBy = PROJECT_SORTS[sort];
+
+    if (!sortBy) {
+      return res.status(400).json({
+        error: `Invalid sort. Allowed: ${Object.keys(PROJECT_SORTS).join(', ')}`
+      });
+    }
+
+    if (!['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: 'Invalid order. Allowed: asc, desc'
+      });
+    }
+
+    if (!['true', 'false', 'all'].includes(archived)) {
+      return res.status(400).json({
+        error: 'Invalid archived filter. Allowed: true, false, all'
+      });
+    }
+
+    const conditions = [];
+    const values = [req.user.id];
+
+    // Archived projects are hidden unless asked for
+    if (archived === 'true') {
+      conditions.push('p.archived_at IS NOT NULL');
+    } else if (archived === 'false') {
+      conditions.push('p.archived_at IS NULL');
+    }
+
+    if (q && q.trim()) {
+      values.push(`%${q.trim().replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(p.name ILIKE $${values.length} OR p.description ILIKE $${values.length})`);
+    }
+
+    if (req.query.tag) {
+      const tags = [].concat(req.query.tag).flatMap(tag => String(tag).split(','));
+      values.push(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean));
+      conditions.push(`p.tags @> $${values.length}::text[]`);
+    }
+
+    if (starred === 'true') {
+      conditions.push('ps.user_id IS NOT NULL');
+    } else if (starred === 'false') {
+      conditions.push('ps.user_id IS NULL');
+    }
+
+    if (shared === 'true') {
+      conditions.push('p.user_id <> $1');
+    } else if (shared === 'false') {
+      conditions.push('p.user_id = $1');
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+
+      if (!position || !UUID_REGEX.test(position.id) || !isValidCursorValue(position.value, sortBy.type)) {
+        return res.status(400).json({
+          error: 'Invalid cursor'
+        });
+      }
+
+      values.push(position.value, position.id);
+      conditions.push(
+        `(${sortBy.expr}, p.id) ${order === 'desc' ? '<' : '>'} ($${values.length - 1}::${sortBy.type}, $${values.length}::uuid)`
+      );
+    }
+
+    values.push(limit + 1);
+
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT 
+          p.*,
+          CASE WHEN p.user_id = $1 THEN 'owner' ELSE pm.role END as role,
+          p.user_id <> $1 as shared,
+          u.username as owner_username,
+          src.name as forked_from_name,
+          ps.user_id IS NOT NULL as starred,
+          fs.file_count,
+          fs.size_bytes,
+          fs.last_file_update,
+          (${sortBy.expr})::text as sort_key
+        FROM projects p
+        JOIN users u ON u.id = p.user_id
+        LEFT JOIN projects src ON src.id = p.forked_from
+        LEFT JOIN project_members pm
+          ON pm.project_id = p.id
+          AND pm.user_id = $1
+          AND pm.accepted_at IS NOT NULL
+        LEFT JOIN project_stars ps
+          ON ps.project_id = p.id
+          AND ps.user_id = $1
+        CROSS JOIN LATERAL (
+          SELECT
+            COUNT(*)::int as file_count,
+            COALESCE(SUM(size), 0)::bigint as size_bytes,
+            MAX(updated_at) as last_file_update
+          FROM files
+          WHERE project_id = p.id
+        ) fs
+        WHERE (p.user_id = $1 OR pm.user_id IS NOT NULL)
+          AND p.deleted_at IS NULL
+          ${conditions.map(c => `AND ${c}`).join('\n          ')}
+        ORDER BY ${sortBy.expr} ${order}, p.id ${order}
+        LIMIT $${values.length}
+      `, values);
+
+      const hasMore = result.rows.length > limit;
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
+      res.json({
+        success: true,
+        projects: rows.map(({ sort_key, ...project }) => ({
+          ...project,
+          size_bytes: parseInt(project.size_bytes)
+        })),
+        nextCursor: hasMore ? encodeCursor(last.sort_key, last.id) : null
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error listing projects:', error);
+    res.status(500).json({
+      error: 'Failed to list projects',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/tags
+ * Tags in use across the user's projects, with how many projects have each
+ */
+router.get('/tags', requireScope('projects:read'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT tag, COUNT(*)::int as count
+        FROM projects p
+        LEFT JOIN project_members pm
+          ON pm.project_id = p.id
+          AND pm.user_id = $1
+          AND pm.accepted_at IS NOT NULL
+        CROSS JOIN unnest(p.tags) as tag
+        WHERE (p.user_id = $1 OR pm.user_id IS NOT NULL)
+          AND p.deleted_at IS NULL
+        GROUP BY tag
+        ORDER BY count DESC, tag
+      `, [req.user.id]);
+
+      res.json({
+        success: true,
+        tags: result.rows
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error listing tags:', error);
+    res.status(500).json({
+      error: 'Failed to list tags',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/invitations
+ * List pending project invitations for the authenticated user
+ */
+router.get('/invitations', requireScope('projects:read'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(`
+        SELECT
+          pm.project_id,
+          pm.role,
+          pm.created_at as invited_at,
+          p.name as project_name,
+          inviter.username as invited_by
+        FROM project_members pm
+        JOIN projects p ON p.id = pm.project_id
+        LEFT JOIN users inviter ON inviter.id = pm.invited_by
+        WHERE pm.user_id = $1 AND pm.accepted_at IS NULL
+          AND p.deleted_at IS NULL
+        ORDER BY pm.created_at DESC
+      `, [req.user.id]);
+
+      res.json({
+        success: true,
+        invitations: result.rows
+      });
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Error listing invitations:', error);
+    res.status(500).json({
+      error: 'Failed to list invitations',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/settings-schema
+ * Project AI settings with their defaults and allowed values
+ */
+router.get('/settings-schema', requireScope('projects:read'), (req, res) => {
+  res.json({
+    success: true,
+    schema: SETTINGS_SCHEMA
+  });
+});
+
+/**
+ * GET /api/projects/templates
+ * List built-in and the user's custom project templates
+ */
+router.get('/templates', requireScope('projects:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      templates: await templates.listTemplates(req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Error listing templates:', error);
+    res.status(500).json({
+      error: 'Failed to list templates',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/templates/:templateId
+ * Delete a custom template
+ */
+router.delete('/templates/:templateId', requireScope('projects:write'), async (req, res) => {
+  try {
+    const deleted = await templates.deleteTemplate(req.user.id, req.params.templateId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting template:', error);
+    res.status(500).json({
+      error: 'Failed to delete template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/trash
+ * List trashed projects the user owns, with their purge date
+ */
+router.get('/trash', requireScope('projects:read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      projects: await trash.listTrash(req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Error listing trash:', error);
+    res.status(500).json({
+      error: 'Failed to list trash',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/trash/:id/restore
+ * Restore a trashed project
+ */
+router.post('/trash/:id/restore', requireScope('projects:write'), async (req, res) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(404).json({
+        error: 'Project not found in trash'
+      });
+    }
+
+    const trashed = await trash.getTrashedProject(req.params.id, req.user.id);
+
+    if (!trashed) {
+      return res.status(404).json({
+        error: 'Project not found in trash'
+      });
+    }
+
+    // The project counts against its creator's quota
+    await quotas.checkRestore(trashed.user_id);
+
+    const project = await trash.restoreProject(req.params.id, req.user.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'Project not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      project
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error restoring project:', error);
+    res.status(500).json({
+      error: 'Failed to restore project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/trash/:id
+ * Permanently delete a trashed project, including vectors and workspace
+ */
+router.delete('/trash/:id', requireScope('projects:write'), async (req, res) => {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return res.status(404).json({
+        error: 'Project not found in trash'
+      });
+    }
+
+    const deleted = await trash.purgeProject(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Project not found in trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Project permanently deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error purging project:', error);
+    res.status(500).json({
+      error: 'Failed to delete project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/import
+ * Unpack an uploaded zip (multipart field "file") into a new project
+ * (name) or an existing one (projectId), then index it.
+ * conflict: overwrite | skip | rename - for paths that already exist
+ */
+router.post('/import', requireScope('projects:write'), handleArchiveUpload, requireImportTarget, async (req, res) => {
+  try {
+    const { projectId, name, conflict = 'overwrite' } = req.body;
+    const invalid = checkImportRequest(req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+
+    const { files, skipped } = await archives.readZip(req.file.path);
+
+    const project = req.project ||
+      await createImportedProject(req.user.id, name, `Imported from ${req.file.originalname}`, files);
+
+    const result = await archives.importFiles(project.id, files, conflict, req.user.id);
+
+    logger.info(`Imported ${req.file.originalname} into project ${project.id}`);
+
+    res.status(projectId ? 200 : 201).json({
+      success: true,
+      project,
+      imported: result.imported,
+      renamed: result.renamed,
+      skipped: [...skipped, ...result.skipped]
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error importing project:', error);
+    res.status(500).json({
+      error: 'Failed to import project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/import/git
+ * Import the working tree of an uploaded git bundle (multipart field
+ * "file", optional ref) into a new project (name) or an existing one
+ * (projectId). Runs in the background; poll the returned job.
+ */
+router.post('/import/git', requireScope('projects:write'), handleArchiveUpload, requireImportTarget, async (req, res) => {
+  const bundlePath = req.file.path;
+
+  try {
+    const { name, ref, conflict = 'overwrite' } = req.body;
+    const invalid = checkImportRequest(req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+
+    repoImports.validateRef(ref);
+
+    const job = repoImports.startJob(req.user.id, {
+      source: req.file.originalname,
+      conflict,
+      prepare: async () => {
+        const dir = await repoImports.cloneBundle(bundlePath, ref || null).finally(() =>
+          fs.promises.unlink(bundlePath).catch(() => {})
+        );
+
+        return {
+          dir,
+          cleanup: () => fs.promises.rm(dir, { recursive: true, force: true })
+        };
+      },
+      project: async (files) => req.project ||
+        createImportedProject(req.user.id, name, `Imported from ${req.file.originalname}`, files)
+    });
+
+    // The job removes the bundle once it has been cloned
+    req.keepUpload = true;
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error starting git import:', error);
+    res.status(500).json({
+      error: 'Failed to start import',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/import/directory
+ * Import a directory on the server (path, within IMPORT_ROOTS) into a new
+ * project (name) or an existing one (projectId). Administrators only.
+ * Runs in the background; poll the returned job.
+ */
+router.post('/import/directory', requireScope('projects:write'), requireAdmin, requireImportTarget, async (req, res) => {
+  try {
+    const { path: directory, name, conflict = 'overwrite' } = req.body;
+    const invalid = checkImportRequest(req.body);
+
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+
+    if (!directory) {
+      return res.status(400).json({
+        error: 'Directory path is required'
+      });
+    }
+
+    const dir = await repoImports.resolveDirectory(directory);
+
+    const job = repoImports.startJob(req.user.id, {
+      source: dir,
+      conflict,
+      prepare: async () => ({ dir }),
+      project: async (files) => req.project ||
+        createImportedProject(req.user.id, name, `Imported from ${path.basename(dir)}`, files)
+    });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error starting directory import:', error);
+    res.status(500).json({
+      error: 'Failed to start import',
+      details: error.message
+    });
+  }
+});
 
 /**
- * GET /api/projects
- * List all projects for user
+ * GET /api/projects/import/jobs/:jobId
+ * Progress of a git or directory import: status, phase (reading, saving,
+ * embedding), processed/total, and the files imported or skipped
+ */
+router.get('/import/jobs/:jobId', requireScope('projects:read'), (req, res) => {
+  const job = repoImports.getJob(req.params.jobId, req.user.id);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Import job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    job
+  });
+});
+
+/**
+ * GET /api/projects/:id/export
+ * Download every file of the project as a zip
  */
-router.get('/', async (req, res) => {
+router.get('/:id/export', requireScope('projects:read'), requireProjectAccess('viewer'), async (req, res) => {
   try {
-    // For now, get all projects (add userId filter when auth is implemented)
-    const client = await pool.connect();
+    const filename = req.project.name.replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '') || 'project';
 
-    try {
-      const result = await client.query(`
-        SELECT 
-          p.*,
-          COUNT(DISTINCT f.id) as file_count,
-          MAX(f.updated_at) as last_file_update
-        FROM projects p
-        LEFT JOIN files f ON p.id = f.project_id
-        GROUP BY p.id
-        ORDER BY p.updated_at DESC
-      `);
+    res.attachment(`${filename}.zip`);
 
-      res.json({
-        success: true,
-        projects: result.rows
-      });
+    await archives.exportProject(req.project.id, res);
 
-    } finally {
-      client.release();
+  } catch (error) {
+    logger.error('Error exporting project:', error);
+
+    // Headers are gone once the zip started streaming
+    if (res.headersSent) {
+      return res.destroy(error);
     }
 
-  } catch (error) {
-    logger.error('Error listing projects:', error);
     res.status(500).json({
-      error: 'Failed to list projects',
+      error: 'Failed to export project',
       details: error.message
     });
   }
@@ -54,25 +817,14 @@ router.get('/', async (req, res) => {
  * GET /api/projects/:id
  * Get project details
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('projects:read'), requireProjectAccess('viewer'), async (req, res) => {
   try {
     const { id } = req.params;
 
     const client = await pool.connect();
 
     try {
-      const result = await client.query(
-        'SELECT * FROM projects WHERE id = $1',
-        [id]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Project not found'
-        });
-      }
-
-      const project = result.rows[0];
+      const project = req.project;
 
       // Get file count
       const fileCount = await client.query(
@@ -82,6 +834,13 @@ router.get('/:id', async (req, res) => {
 
       project.file_count = parseInt(fileCount.rows[0].count);
 
+      const star = await client.query(
+        'SELECT 1 FROM project_stars WHERE user_id = $1 AND project_id = $2',
+        [req.user.id, id]
+      );
+
+      project.starred = star.rows.length > 0;
+
       // Update last accessed
       await client.query(
         'UPDATE projects SET last_accessed = CURRENT_TIMESTAMP WHERE id = $1',
@@ -108,11 +867,11 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/projects
- * Create new project
+ * Create new project, optionally seeded from a template (templateId)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireScope('projects:write'), async (req, res) => {
   try {
-    const { name, description, settings = {} } = req.body;
+    const { name, description, templateId } = req.body;
 
     if (!name) {
       return res.status(400).json({
@@ -120,47 +879,82 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const client = await pool.connect();
+    const { settings, errors } = validateSettings(req.body.settings || {});
 
-    try {
-      // Get demo user (in production, use authenticated user)
-      const userResult = await client.query(
-        "SELECT id FROM users WHERE email = 'demo@example.com'"
-      );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid project settings',
+        details: errors
+      });
+    }
 
-      if (userResult.rows.length === 0) {
-        return res.status(400).json({
-          error: 'User not found'
-        });
-      }
+    // Resolve the template first so an unknown id creates nothing
+    const templateFiles = templateId
+      ? await templates.getTemplateFiles(templateId, req.user.id)
+      : [];
+
+    await quotas.checkNewProject(req.user.id, templateFiles);
 
-      const userId = userResult.rows[0].id;
+    const client = await pool.connect();
+    let project;
+
+    try {
+      await client.query('BEGIN');
 
       // Create project
       const result = await client.query(
         `INSERT INTO projects (user_id, name, description, settings)
          VALUES ($1, $2, $3, $4)
          RETURNING *`,
-        [userId, name, description, JSON.stringify(settings)]
+        [req.user.id, name, description, JSON.stringify(settings)]
       );
 
-      const project = result.rows[0];
+      project = result.rows[0];
 
-      // Ensure AnythingLLM workspace exists
-      await anythingLLM.ensureWorkspace(project.id, project.name);
+      // Creator is the project's first owner
+      await client.query(
+        `INSERT INTO project_members (project_id, user_id, role, accepted_at)
+         VALUES ($1, $2, 'owner', CURRENT_TIMESTAMP)`,
+        [project.id, req.user.id]
+      );
 
-      logger.info(`Created project: ${project.id} - ${project.name}`);
+      // Seed template files; a failure leaves no half-created project
+      for (const file of templateFiles) {
+        await fileSystem.writeFile(client, project.id, file.path, file.content, file.language, { userId: req.user.id });
+      }
 
-      res.status(201).json({
-        success: true,
-        project
-      });
+      await client.query('COMMIT');
 
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
 
+    // Ensure AnythingLLM workspace exists and index the template files
+    await anythingLLM.ensureWorkspace(project.id, project.name);
+
+    if (templateFiles.length > 0) {
+      await anythingLLM.updateProjectContext(project.id, templateFiles);
+    }
+
+    project.file_count = templateFiles.length;
+
+    logger.info(`Created project: ${project.id} - ${project.name}${templateId ? ` from template ${templateId}` : ''}`);
+
+    res.status(201).json({
+      success: true,
+      project
+    });
+
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
     logger.error('Error creating project:', error);
     res.status(500).json({
       error: 'Failed to create project',
@@ -171,12 +965,13 @@ router.post('/', async (req, res) => {
 
 /**
  * PUT /api/projects/:id
- * Update project
+ * Update project. settings and tags, when given, replace the stored ones.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope('projects:write'), requireProjectAccess('editor'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, settings } = req.body;
+    const { name, description, settings, tags } = req.body;
+    let settingsChanges = {};
 
     const client = await pool.connect();
 
@@ -196,8 +991,31 @@ router.put('/:id', async (req, res) => {
       }
 
       if (settings !== undefined) {
+        const validated = validateSettings(settings);
+
+        if (validated.errors.length > 0) {
+          return res.status(400).json({
+            error: 'Invalid project settings',
+            details: validated.errors
+          });
+        }
+
         updates.push(`settings = $${paramCount++}`);
-        values.push(JSON.stringify(settings));
+        values.push(JSON.stringify(validated.settings));
+        settingsChanges = diffSettings(req.project.settings || {}, validated.settings);
+      }
+
+      if (tags !== undefined) {
+        const normalized = normalizeTags(tags);
+
+        if (normalized.error) {
+          return res.status(400).json({
+            error: normalized.error
+          });
+        }
+
+        updates.push(`tags = $${paramCount++}`);
+        values.push(normalized.tags);
       }
 
       if (updates.length === 0) {
@@ -222,6 +1040,18 @@ router.put('/:id', async (req, res) => {
         });
       }
 
+      // Settings changes show up in the project's activity feed
+      if (Object.keys(settingsChanges).length > 0) {
+        await audit.record({
+          actorId: req.user.id,
+          action: 'project.settings_updated',
+          targetType: 'project',
+          targetId: id,
+          details: { changes: settingsChanges },
+          ip: req.ip
+        });
+      }
+
       res.json({
         success: true,
         project: result.rows[0]
@@ -242,38 +1072,369 @@ router.put('/:id', async (req, res) => {
 
 /**
  * DELETE /api/projects/:id
- * Delete project and all associated data
+ * Move project to the trash; it is purged after the retention period
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('projects:write'), requireProjectAccess('owner'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const trashed = await trash.trashProject(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Project moved to trash',
+      project: trashed
+    });
+
+  } catch (error) {
+    logger.error('Error deleting project:', error);
+    res.status(500).json({
+      error: 'Failed to delete project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/:id/duplicate
+ * Copy a project (files and, with includeChat, chat history) into a new
+ * project owned by the caller. Anyone who can view a project can fork it.
+ */
+router.post('/:id/duplicate', requireScope('projects:write'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const source = req.project;
+    const { name = `${source.name} (copy)`, includeChat = false } = req.body;
+
+    // The copy counts against the caller's quotas
+    await quotas.checkNewProject(req.user.id, await fileSystem.getProjectFiles(source.id));
 
     const client = await pool.connect();
+    let project;
 
     try {
-      // Check if project exists
-      const check = await client.query(
-        'SELECT * FROM projects WHERE id = $1',
-        [id]
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO projects (user_id, name, description, settings, tags, forked_from)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [req.user.id, name, source.description, JSON.stringify(source.settings || {}), source.tags, source.id]
       );
 
-      if (check.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Project not found'
+      project = result.rows[0];
+
+      await client.query(
+        `INSERT INTO project_members (project_id, user_id, role, accepted_at)
+         VALUES ($1, $2, 'owner', CURRENT_TIMESTAMP)`,
+        [project.id, req.user.id]
+      );
+
+      const files = await client.query(
+        `INSERT INTO files (project_id, path, content, language, size, author_type, updated_by, is_binary, mime_type, data)
+         SELECT $1, path, content, language, size, author_type, updated_by, is_binary, mime_type, data
+         FROM files WHERE project_id = $2`,
+        [project.id, source.id]
+      );
+
+      await client.query(
+        `INSERT INTO directories (project_id, path)
+         SELECT $1, path FROM directories WHERE project_id = $2`,
+        [project.id, source.id]
+      );
+
+      project.file_count = files.rowCount;
+
+      if (includeChat) {
+        const sessions = await client.query(
+          'SELECT id, created_at FROM chat_sessions WHERE project_id = $1 ORDER BY created_at',
+          [source.id]
+        );
+
+        for (const session of sessions.rows) {
+          const copy = await client.query(
+            `INSERT INTO chat_sessions (project_id, created_at)
+             VALUES ($1, $2)
+             RETURNING id`,
+            [project.id, session.created_at]
+          );
+
+          await client.query(
+            `INSERT INTO chat_messages (session_id, role, content, metadata, created_at)
+             SELECT $1, role, content, metadata, created_at
+             FROM chat_messages WHERE session_id = $2`,
+            [copy.rows[0].id, session.id]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // New AnythingLLM workspace and Chroma collection for the copy
+    await anythingLLM.ensureWorkspace(project.id, project.name);
+
+    const files = await fileSystem.getProjectFilesWithContent(project.id);
+    await anythingLLM.updateProjectContext(project.id, files);
+
+    logger.info(`Duplicated project ${source.id} as ${project.id} (chat: ${Boolean(includeChat)})`);
+
+    res.status(201).json({
+      success: true,
+      project: {
+        ...project,
+        forked_from_name: source.name
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error duplicating project:', error);
+    res.status(500).json({
+      error: 'Failed to duplicate project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/projects/:id/template
+ * Save the project's current files as a custom template
+ */
+router.post('/:id/template', requireScope('projects:write'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Template name is required'
+      });
+    }
+
+    const template = await templates.saveProjectAsTemplate(req.params.id, req.user.id, {
+      name,
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error saving template:', error);
+    res.status(500).json({
+      error: 'Failed to save template',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/activity
+ * Timeline of file edits, AI generations, chat messages and settings
+ * changes, newest first. Query: limit, cursor (nextCursor of the previous page)
+ */
+router.get('/:id/activity', requireScope('projects:read'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let before = null;
+
+    if (req.query.cursor) {
+      before = decodeCursor(req.query.cursor);
+
+      if (!before || !UUID_REGEX.test(before.id) || !isValidCursorValue(before.value, 'timestamp')) {
+        return res.status(400).json({
+          error: 'Invalid cursor'
         });
       }
+    }
+
+    const { events, nextCursor } = await activity.getActivity(req.params.id, { limit, before });
+
+    res.json({
+      success: true,
+      events,
+      nextCursor
+    });
+
+  } catch (error) {
+    logger.error('Error getting project activity:', error);
+    res.status(500).json({
+      error: 'Failed to get project activity',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:id/stats
+ * File counts by language, size, AI generations and AI vs. human lines
+ */
+router.get('/:id/stats', requireScope('projects:read'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: await activity.getStats(req.params.id)
+    });
+
+  } catch (error) {
+    logger.error('Error getting project stats:', error);
+    res.status(500).json({
+      error: 'Failed to get project stats',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Set or clear a project's archived state, recording who did it
+ */
+async function setArchived(req, archived) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      archived
+        ? `UPDATE projects
+           SET archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), archived_by = COALESCE(archived_by, $2)
+           WHERE id = $1
+           RETURNING *`
+        : `UPDATE projects
+           SET archived_at = NULL, archived_by = NULL
+           WHERE id = $1
+           RETURNING *`,
+      archived ? [req.params.id, req.user.id] : [req.params.id]
+    );
+
+    // Only real state changes are audited
+    if (Boolean(req.project.archived_at) !== archived) {
+      await audit.record({
+        actorId: req.user.id,
+        action: archived ? 'project.archived' : 'project.unarchived',
+        targetType: 'project',
+        targetId: req.params.id,
+        ip: req.ip
+      });
+    }
+
+    return result.rows[0];
+
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * PUT /api/projects/:id/archive
+ * Archive a project: files, chat and imports become read-only until it is
+ * unarchived. Archived projects are left out of the default project list.
+ */
+router.put('/:id/archive', requireScope('projects:write'), requireProjectAccess('owner'), async (req, res) => {
+  try {
+    const project = await setArchived(req, true);
+
+    res.json({
+      success: true,
+      project
+    });
+
+  } catch (error) {
+    logger.error('Error archiving project:', error);
+    res.status(500).json({
+      error: 'Failed to archive project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/archive
+ * Unarchive a project, restoring full access
+ */
+router.delete('/:id/archive', requireScope('projects:write'), requireProjectAccess('owner'), async (req, res) => {
+  try {
+    const project = await setArchived(req, false);
+
+    res.json({
+      success: true,
+      project
+    });
+
+  } catch (error) {
+    logger.error('Error unarchiving project:', error);
+    res.status(500).json({
+      error: 'Failed to unarchive project',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/projects/:id/star
+ * Star (pin) a project for the authenticated user
+ */
+router.put('/:id/star', requireScope('projects:write'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+
+    try {
+      await client.query(
+        `INSERT INTO project_stars (user_id, project_id)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [req.user.id, req.params.id]
+      );
+
+      res.json({
+        success: true,
+        starred: true
+      });
+
+    } finally {
+      client.release();
+    }
 
-      // Delete from vector DB
-      await vectorDB.deleteProject(id);
+  } catch (error) {
+    logger.error('Error starring project:', error);
+    res.status(500).json({
+      error: 'Failed to star project',
+      details: error.message
+    });
+  }
+});
 
-      // Delete project (cascade will delete files and chat sessions)
-      await client.query('DELETE FROM projects WHERE id = $1', [id]);
+/**
+ * DELETE /api/projects/:id/star
+ * Unstar a project
+ */
+router.delete('/:id/star', requireScope('projects:write'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const client = await pool.connect();
 
-      logger.info(`Deleted project: ${id}`);
+    try {
+      await client.query(
+        'DELETE FROM project_stars WHERE user_id = $1 AND project_id = $2',
+        [req.user.id, req.params.id]
+      );
 
       res.json({
         success: true,
-        message: 'Project deleted successfully'
+        starred: false
       });
 
     } finally {
@@ -281,12 +1442,15 @@ router.delete('/:id', async (req, res) => {
     }
 
   } catch (error) {
-    logger.error('Error deleting project:', error);
+    logger.error('Error unstarring project:', error);
     res.status(500).json({
-      error: 'Failed to delete project',
+      error: 'Failed to unstar project',
       details: error.message
     });
   }
 });
 
+// Project members (sharing)
+router.use('/:id/members', memberRoutes);
+
 module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { Pool } = require('pg');
+const { FileSystemService } = require('../services/filesystem.service');
+const {
+  authenticate,
+  requireScope,
+  requireProjectAccess
+} = require('../middleware/auth');
+const { verifyPreviewToken } = require('../utils/jwt');
+const { normalizeFilePath } = require('../utils/paths');
+const { logger } = require('../utils/logger');
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const fileSystem = new FileSystemService();
+
+/**
+ * Read one cookie from the request; null if absent
+ */
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The preview iframe can't send an Authorization header, so raw files
+ * accept the preview cookie (see POST /api/files/:projectId/preview-session).
+ * Other clients authenticate as usual.
+ */
+async function authenticatePreview(req, res, next) {
+  const token = readCookie(req, 'preview_token');
+
+  if (!token) {
+    return authenticate(req, res, next);
+  }
+
+  let decoded;
+  try {
+    decoded = verifyPreviewToken(token);
+  } catch (err) {
+    return res.status(401).json({
+      error: 'Invalid or expired preview session'
+    });
+  }
+
+  if (decoded.projectId !== req.params.projectId) {
+    return res.status(401).json({
+      error: 'Invalid or expired preview session'
+    });
+  }
+
+  try {
+    const client = await pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT id, email, username, email_verified_at, role
+         FROM users
+         WHERE id = $1 AND is_active = true`,
+        [decoded.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({
+          error: 'Invalid or expired preview session'
+        });
+      }
+
+      req.user = result.rows[0];
+      req.auth = { type: 'preview', projectId: decoded.projectId };
+      next();
+
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    logger.error('Preview authentication error:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * GET /api/files/:projectId/raw/:path
+ * Serve a file's bytes with its content type, for the preview
+ */
+router.get('/:projectId/raw/*', authenticatePreview, requireScope('files:read'), requireProjectAccess('viewer'), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const filePath = normalizeFilePath(req.params[0]);
+    const file = await fileSystem.readFileData(projectId, filePath);
+
+    if (!file) {
+      return res.status(404).json({
+        error: 'File not found'
+      });
+    }
+
+    res.set({
+      // Loaded by the preview from the frontend's origin
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      // Opened directly, project HTML must not run on the API origin
+      'Content-Security-Policy': 'sandbox',
+      'Cache-Control': 'private, no-cache',
+      'Last-Modified': new Date(file.updated_at).toUTCString()
+    });
+
+    if (file.is_binary) {
+      return res.type(file.mime_type || 'application/octet-stream').send(file.data);
+    }
+
+    res.type(path.extname(filePath) || 'text/plain').send(file.content || '');
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message
+      });
+    }
+
+    logger.error('Error serving raw file:', error);
+    res.status(500).json({
+      error: 'Failed to read file',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -10,11 +10,16 @@ const { logger } = require('./utils/logger');
 const chatRoutes = require('./routes/chat');
 const projectRoutes = require('./routes/projects');
 const fileRoutes = require('./routes/files');
+const rawFileRoutes = require('./routes/raw');
 const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const accountRoutes = require('./routes/account');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
+const { authenticate } = require('./middleware/auth');
+const { TrashService } = require('./services/trash.service');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -28,7 +33,8 @@ app.use(helmet({
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -66,9 +72,13 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/projects', projectRoutes);
-app.use('/api/files', fileRoutes);
-app.use('/api/chat', chatRoutes);
+app.use('/api/projects', authenticate, projectRoutes);
+// Raw files authenticate themselves (preview cookie or bearer token)
+app.use('/api/files', rawFileRoutes);
+app.use('/api/files', authenticate, fileRoutes);
+app.use('/api/chat', authenticate, chatRoutes);
+app.use('/api/account', authenticate, accountRoutes);
+app.use('/api/admin', authenticate, adminRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -98,6 +108,9 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running on port ${PORT}`);
   logger.info(`📝 Environment: ${process.env.NODE_ENV}`);
   logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
+
+  // Permanently delete projects that outlived the trash retention period
+  new TrashService().startPurgeJob();
 });
 
 module.exports = app;
@@ -0,0 +1,195 @@
+const { Pool } = require('pg');
+const archiver = require('archiver');
+const { VectorDBService } = require('./vectordb.service');
+const { AnythingLLMService } = require('./anythingllm.service');
+const { logger } = require('../utils/logger');
+
+/**
+ * Whole-account operations: data export and deletion
+ */
+class AccountService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+    this.vectorDB = new VectorDBService();
+    this.anythingLLM = new AnythingLLMService();
+  }
+
+  /**
+   * Write a zip of everything held about a user to a writable stream:
+   *   account.json                  profile, sessions, API tokens, memberships
+   *   projects/<id>/project.json    project row
+   *   projects/<id>/chat.json       chat sessions with messages and metadata
+   *   projects/<id>/files/<path>    file contents
+   */
+  async exportAccount(userId, output) {
+    const client = await this.pool.connect();
+
+    try {
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      const finished = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('finish', resolve);
+        archive.on('error', reject);
+      });
+
+      archive.pipe(output);
+
+      const profile = await client.query(
+        `SELECT id, email, username, role, created_at, updated_at, last_login,
+           email_verified_at, totp_enabled_at IS NOT NULL AS two_factor_enabled
+         FROM users WHERE id = $1`,
+        [userId]
+      );
+
+      const sessions = await client.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+         FROM user_sessions WHERE user_id = $1
+         ORDER BY created_at`,
+        [userId]
+      );
+
+      const apiTokens = await client.query(
+        `SELECT id, name, token_prefix, scopes, created_at, last_used_at, expires_at, revoked_at
+         FROM api_tokens WHERE user_id = $1
+         ORDER BY created_at`,
+        [userId]
+      );
+
+      const memberships = await client.query(
+        `SELECT pm.project_id, p.name AS project_name, pm.role, pm.accepted_at, pm.created_at
+         FROM project_members pm
+         JOIN projects p ON p.id = pm.project_id
+         WHERE pm.user_id = $1 AND p.user_id <> $1
+         ORDER BY pm.created_at`,
+        [userId]
+      );
+
+      const projects = await client.query(
+        'SELECT * FROM projects WHERE user_id = $1 ORDER BY created_at',
+        [userId]
+      );
+
+      archive.append(JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        profile: profile.rows[0],
+        sessions: sessions.rows,
+        apiTokens: apiTokens.rows,
+        sharedProjects: memberships.rows,
+        projects: projects.rows.map(p => ({ id: p.id, name: p.name }))
+      }, null, 2), { name: 'account.json' });
+
+      for (const project of projects.rows) {
+        const base = `projects/${project.id}`;
+
+        archive.append(JSON.stringify(project, null, 2), { name: `${base}/project.json` });
+
+        const files = await client.query(
+          'SELECT path, content, is_binary, data FROM files WHERE project_id = $1 ORDER BY path',
+          [project.id]
+        );
+
+        for (const file of files.rows) {
+          archive.append(file.is_binary ? file.data : file.content || '', { name: `${base}/files/${file.path}` });
+        }
+
+        const chat = await client.query(
+          `SELECT
+             s.id AS session_id,
+             s.created_at AS session_created_at,
+             m.id,
+             m.role,
+             m.content,
+             m.metadata,
+             m.created_at
+           FROM chat_sessions s
+           LEFT JOIN chat_messages m ON m.session_id = s.id
+           WHERE s.project_id = $1
+           ORDER BY s.created_at, m.created_at`,
+          [project.id]
+        );
+
+        const chatSessions = [];
+        for (const row of chat.rows) {
+          let session = chatSessions[chatSessions.length - 1];
+
+          if (!session || session.id !== row.session_id) {
+            session = { id: row.session_id, created_at: row.session_created_at, messages: [] };
+            chatSessions.push(session);
+          }
+
+          if (row.id) {
+            session.messages.push({
+              id: row.id,
+              role: row.role,
+              content: row.content,
+              metadata: row.metadata,
+              created_at: row.created_at
+            });
+          }
+        }
+
+        archive.append(JSON.stringify(chatSessions, null, 2), { name: `${base}/chat.json` });
+      }
+
+      await archive.finalize();
+      await finished;
+
+      logger.info(`Exported account data for user ${userId}: ${projects.rows.length} projects`);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Permanently delete a user. Postgres cascades remove their rows; the
+   * Chroma collections and AnythingLLM workspaces of owned projects are
+   * removed here. Returns the number of projects deleted.
+   */
+  async deleteAccount(userId) {
+    const client = await this.pool.connect();
+    let projectIds;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT id FROM projects WHERE user_id = $1',
+        [userId]
+      );
+
+      projectIds = result.rows.map(row => row.id);
+
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+      await client.query('COMMIT');
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    for (const projectId of projectIds) {
+      await this.deleteProjectResources(projectId);
+    }
+
+    logger.info(`Deleted account ${userId} with ${projectIds.length} projects`);
+
+    return projectIds.length;
+  }
+
+  /**
+   * Remove the data a project keeps outside Postgres
+   */
+  async deleteProjectResources(projectId) {
+    await this.vectorDB.deleteProject(projectId);
+    await this.anythingLLM.deleteWorkspace(projectId);
+  }
+}
+
+module.exports = { AccountService };
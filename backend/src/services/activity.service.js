@@ -0,0 +1,192 @@
+const { Pool } = require('pg');
+const { encodeCursor } = require('../utils/pagination');
+
+// Line count of a file's content (a trailing newline doesn't start a line)
+const LINE_COUNT = `
+  CASE WHEN content IS NULL OR content = '' THEN 0
+  ELSE length(content) - length(replace(content, E'\\n', ''))
+    + CASE WHEN right(content, 1) = E'\\n' THEN 0 ELSE 1 END
+  END`;
+
+/**
+ * Project activity timeline and usage statistics
+ */
+class ActivityService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Newest-first timeline merging file edits, AI generations, chat
+   * messages, settings changes and archiving. Files only keep their
+   * latest edit.
+   * before: { value, id } from a decoded cursor
+   */
+  async getActivity(projectId, { limit = 50, before = null } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      const values = [projectId];
+      let cursorCondition = '';
+
+      if (before) {
+        values.push(before.value, before.id);
+        cursorCondition = 'WHERE (e.at, e.id) < ($2::timestamp, $3::uuid)';
+      }
+
+      values.push(limit + 1);
+
+      const result = await client.query(`
+        SELECT e.*, e.at::text AS sort_key, u.username AS actor_username
+        FROM (
+          SELECT
+            f.id,
+            CASE WHEN f.created_at = f.updated_at THEN 'file_created' ELSE 'file_updated' END AS type,
+            f.updated_at AS at,
+            f.updated_by AS actor_id,
+            jsonb_build_object('path', f.path, 'authorType', f.author_type) AS data
+          FROM files f
+          WHERE f.project_id = $1
+
+          UNION ALL
+
+          -- Assistant replies that wrote files
+          SELECT
+            cm.id,
+            'ai_generation',
+            cm.created_at,
+            NULL,
+            jsonb_build_object(
+              'excerpt', LEFT(cm.content, 200),
+              'files', jsonb_agg(jsonb_build_object('path', f.path, 'action', g.action) ORDER BY f.path)
+            )
+          FROM generated_files_log g
+          JOIN chat_messages cm ON cm.id = g.message_id
+          JOIN chat_sessions cs ON cs.id = cm.session_id
+          JOIN files f ON f.id = g.file_id
+          WHERE cs.project_id = $1
+          GROUP BY cm.id
+
+          UNION ALL
+
+          SELECT
+            cm.id,
+            'chat_message',
+            cm.created_at,
+            (cm.metadata->>'userId')::uuid,
+            jsonb_build_object('role', cm.role, 'excerpt', LEFT(cm.content, 200))
+          FROM chat_messages cm
+          JOIN chat_sessions cs ON cs.id = cm.session_id
+          WHERE cs.project_id = $1
+            AND NOT EXISTS (SELECT 1 FROM generated_files_log g WHERE g.message_id = cm.id)
+
+          UNION ALL
+
+          SELECT
+            a.id,
+            CASE a.action
+              WHEN 'project.settings_updated' THEN 'settings_changed'
+              WHEN 'project.archived' THEN 'archived'
+              ELSE 'unarchived'
+            END,
+            a.created_at,
+            a.actor_id,
+            a.details
+          FROM audit_log a
+          WHERE a.target_type = 'project'
+            AND a.target_id = $1::uuid::text
+            AND a.action IN ('project.settings_updated', 'project.archived', 'project.unarchived')
+        ) e
+        LEFT JOIN users u ON u.id = e.actor_id
+        ${cursorCondition}
+        ORDER BY e.at DESC, e.id DESC
+        LIMIT $${values.length}
+      `, values);
+
+      const hasMore = result.rows.length > limit;
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
+      return {
+        events: rows.map(({ sort_key, actor_id, actor_username, ...event }) => ({
+          ...event,
+          actor: actor_id ? { id: actor_id, username: actor_username } : null
+        })),
+        nextCursor: hasMore ? encodeCursor(last.sort_key, last.id) : null
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * File counts by language, total size, AI generations and how many
+   * lines are AI-authored vs. human-edited (by each file's last author)
+   */
+  async getStats(projectId) {
+    const client = await this.pool.connect();
+
+    try {
+      const languages = await client.query(`
+        SELECT
+          COALESCE(language, 'text') AS language,
+          COUNT(*)::int AS files,
+          COALESCE(SUM(size), 0)::bigint AS bytes,
+          COALESCE(SUM(${LINE_COUNT}), 0)::bigint AS lines,
+          COALESCE(SUM(${LINE_COUNT}) FILTER (WHERE author_type = 'ai'), 0)::bigint AS ai_lines
+        FROM files
+        WHERE project_id = $1
+        GROUP BY COALESCE(language, 'text')
+        ORDER BY files DESC, language
+      `, [projectId]);
+
+      const generations = await client.query(`
+        SELECT
+          COUNT(DISTINCT g.message_id)::int AS responses,
+          COUNT(*)::int AS file_writes
+        FROM generated_files_log g
+        JOIN chat_messages cm ON cm.id = g.message_id
+        JOIN chat_sessions cs ON cs.id = cm.session_id
+        WHERE cs.project_id = $1
+      `, [projectId]);
+
+      const chat = await client.query(`
+        SELECT COUNT(*)::int AS messages
+        FROM chat_messages cm
+        JOIN chat_sessions cs ON cs.id = cm.session_id
+        WHERE cs.project_id = $1
+      `, [projectId]);
+
+      const byLanguage = languages.rows.map(row => ({
+        language: row.language,
+        files: row.files,
+        bytes: parseInt(row.bytes),
+        lines: parseInt(row.lines)
+      }));
+
+      const totalLines = byLanguage.reduce((sum, row) => sum + row.lines, 0);
+      const aiLines = languages.rows.reduce((sum, row) => sum + parseInt(row.ai_lines), 0);
+
+      return {
+        files: byLanguage.reduce((sum, row) => sum + row.files, 0),
+        totalSize: byLanguage.reduce((sum, row) => sum + row.bytes, 0),
+        byLanguage,
+        lines: {
+          total: totalLines,
+          aiAuthored: aiLines,
+          humanEdited: totalLines - aiLines
+        },
+        generations: generations.rows[0],
+        chatMessages: chat.rows[0].messages
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { ActivityService };
@@ -1,5 +1,7 @@
 const fetch = require('node-fetch');
 const { VectorDBService } = require('./vectordb.service');
+const { resolveSettings } = require('../utils/projectSettings');
+const { normalizeFilePath } = require('../utils/paths');
 const { logger } = require('../utils/logger');
 
 class AnythingLLMService {
@@ -10,24 +12,27 @@ class AnythingLLMService {
   }
 
   /**
-   * Send message to Claude via AnythingLLM with RAG context
+   * Send message to Claude via AnythingLLM with RAG context.
+   * options.settings are the project's AI settings (see utils/projectSettings)
    */
   async sendMessage(projectId, message, options = {}) {
     try {
       logger.info(`Sending message for project ${projectId}`);
 
+      const settings = resolveSettings(options.settings);
+
       // 1. Retrieve relevant context from vector DB
       const relevantContext = await this.vectorDB.queryRelevantFiles(
         projectId,
         message,
-        options.contextSize || 5
+        options.contextSize || settings.retrievalTopK
       );
 
       // 2. Build enriched prompt with context
       const enrichedPrompt = this.buildEnrichedPrompt(
         message,
         relevantContext,
-        options
+        { ...options, settings }
       );
 
       logger.debug('Enriched prompt built', { 
@@ -46,7 +51,9 @@ class AnythingLLMService {
           body: JSON.stringify({
             message: enrichedPrompt,
             mode: options.mode || 'chat',
-            model: 'claude-sonnet-4-20250514'
+            model: settings.model,
+            temperature: settings.temperature,
+            max_tokens: settings.maxOutputTokens
           })
         }
       );
@@ -66,6 +73,7 @@ class AnythingLLMService {
       return {
         message: parsedResponse.message,
         generatedFiles: parsedResponse.files,
+        skippedFiles: parsedResponse.skippedFiles,
         thinking: parsedResponse.thinking,
         rawResponse: data
       };
@@ -80,7 +88,19 @@ class AnythingLLMService {
    * Build enriched prompt with project context
    */
   buildEnrichedPrompt(userMessage, context, options) {
-    let prompt = `# Project Context\n\n`;
+    const settings = options.settings || resolveSettings();
+    let prompt = '';
+
+    // Project-specific instructions go first so they frame everything else
+    if (settings.systemPrompt) {
+      prompt += `# Project Instructions\n\n${settings.systemPrompt}\n\n`;
+    }
+
+    prompt += `# Project Context\n\n`;
+
+    if (settings.framework) {
+      prompt += `Target framework: ${settings.framework}\n\n`;
+    }
 
     // Add relevant files from context
     if (context.files && context.files.length > 0) {
@@ -111,6 +131,10 @@ class AnythingLLMService {
     prompt += `5. You can generate multiple files in one response\n`;
     prompt += `6. Make sure code is ready to run without modifications\n\n`;
 
+    if (settings.conventions) {
+      prompt += `## Coding Conventions\n\n${settings.conventions}\n\n`;
+    }
+
     // Add specific mode instructions
     if (options.mode === 'refactor') {
       prompt += `Focus on refactoring existing code while maintaining functionality.\n\n`;
@@ -124,10 +148,13 @@ class AnythingLLMService {
   }
 
   /**
-   * Parse Claude's response to extract generated files
+   * Parse Claude's response to extract generated files. Paths are
+   * normalized; files with unusable paths are left out and reported in
+   * skippedFiles.
    */
   parseClaudeResponse(responseText) {
-    const files = [];
+    const filesByPath = new Map();
+    const skippedFiles = [];
 
     // Regex to extract files from XML format
     const fileRegex = /<file\s+path="([^"]+)"\s+language="([^"]+)">([\s\S]*?)<\/file>/g;
@@ -136,13 +163,23 @@ class AnythingLLMService {
     let cleanedMessage = responseText;
 
     while ((match = fileRegex.exec(responseText)) !== null) {
-      const [fullMatch, path, language, content] = match;
-
-      files.push({
-        path: path.trim(),
-        language: language.trim(),
-        content: content.trim()
-      });
+      const [fullMatch, rawPath, language, content] = match;
+
+      try {
+        const path = normalizeFilePath(rawPath);
+
+        // A later block for the same path replaces the earlier one
+        filesByPath.delete(path);
+        filesByPath.set(path, {
+          path,
+          language: language.trim(),
+          content: content.trim()
+        });
+
+      } catch (error) {
+        logger.warn(`Skipping generated file: ${error.message}`);
+        skippedFiles.push({ path: rawPath, reason: error.message });
+      }
 
       // Remove file block from message
       cleanedMessage = cleanedMessage.replace(fullMatch, '');
@@ -150,7 +187,8 @@ class AnythingLLMService {
 
     return {
       message: this.cleanMessage(cleanedMessage),
-      files,
+      files: [...filesByPath.values()],
+      skippedFiles,
       thinking: this.extractThinking(responseText)
     };
   }
@@ -228,6 +266,30 @@ class AnythingLLMService {
       throw error;
     }
   }
+
+  /**
+   * Delete a project's workspace in AnythingLLM
+   */
+  async deleteWorkspace(projectId) {
+    try {
+      const response = await fetch(`${this.baseURL}/api/v1/workspace/${projectId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`AnythingLLM error: ${response.status}`);
+      }
+
+      logger.info(`Deleted AnythingLLM workspace for project ${projectId}`);
+
+    } catch (error) {
+      logger.error('Error deleting workspace:', error);
+      // Don't throw - the project itself is already gone
+    }
+  }
 }
 
 module.exports = { AnythingLLMService };
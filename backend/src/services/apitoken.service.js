@@ -0,0 +1,197 @@
+const { Pool } = require('pg');
+const { randomToken, sha256 } = require('../utils/crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+// Every token starts with this prefix so it can be told apart from a JWT
+const TOKEN_PREFIX = 'aab_';
+
+const TOKEN_SCOPES = [
+  'projects:read',
+  'projects:write',
+  'files:read',
+  'files:write',
+  'chat:read',
+  'chat:send'
+];
+
+const MAX_TOKENS_PER_USER = 50;
+
+class ApiTokenService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Check whether a bearer credential looks like a personal access token
+   */
+  static isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Create a named, scoped token. The secret is only returned here;
+   * the database keeps its hash.
+   */
+  async createToken(userId, { name, scopes, expiresInDays = null }) {
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      throw new AppError('Token name is required (max 100 characters)', 400);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new AppError(`At least one scope is required: ${TOKEN_SCOPES.join(', ')}`, 400);
+    }
+
+    const unknownScopes = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      throw new AppError(`Unknown scopes: ${unknownScopes.join(', ')}`, 400);
+    }
+
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+      throw new AppError('expiresInDays must be a positive integer', 400);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      const count = await client.query(
+        'SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+
+      if (parseInt(count.rows[0].count) >= MAX_TOKENS_PER_USER) {
+        throw new AppError(`Token limit reached (${MAX_TOKENS_PER_USER})`, 422);
+      }
+
+      const secret = `${TOKEN_PREFIX}${randomToken()}`;
+
+      const result = await client.query(
+        `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, $5,
+           CASE WHEN $6::int IS NULL THEN NULL
+                ELSE CURRENT_TIMESTAMP + make_interval(days => $6::int) END)
+         RETURNING id, name, token_prefix, scopes, created_at, expires_at`,
+        [userId, name, secret.substring(0, TOKEN_PREFIX.length + 6), sha256(secret), [...new Set(scopes)], expiresInDays]
+      );
+
+      logger.info(`API token created for user ${userId}: ${result.rows[0].id}`);
+
+      return {
+        ...result.rows[0],
+        token: secret
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List a user's tokens (never includes secrets)
+   */
+  async listTokens(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT id, name, token_prefix, scopes, created_at, last_used_at, expires_at
+         FROM api_tokens
+         WHERE user_id = $1 AND revoked_at IS NULL
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke a token. Returns false if it doesn't belong to the user.
+   */
+  async revokeToken(userId, tokenId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE api_tokens
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+         RETURNING id`,
+        [tokenId, userId]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info(`API token revoked: ${tokenId}`);
+      }
+
+      return result.rows.length > 0;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke every token of a user (account deactivation)
+   */
+  async revokeAllTokens(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE api_tokens
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId]
+      );
+
+      logger.info(`Revoked ${result.rowCount} API tokens for user ${userId}`);
+
+      return result.rowCount;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Resolve a presented token to its user and scopes, recording its use.
+   * Returns null for unknown, revoked or expired tokens.
+   */
+  async verifyToken(secret) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE api_tokens t
+         SET last_used_at = CURRENT_TIMESTAMP
+         FROM users u
+         WHERE t.token_hash = $1
+           AND u.id = t.user_id
+           AND u.is_active = true
+           AND t.revoked_at IS NULL
+           AND (t.expires_at IS NULL OR t.expires_at > CURRENT_TIMESTAMP)
+         RETURNING t.id AS token_id, t.scopes, u.id, u.email, u.username, u.email_verified_at, u.role`,
+        [sha256(secret)]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const { token_id: tokenId, scopes, ...user } = result.rows[0];
+
+      return { user, tokenId, scopes };
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { ApiTokenService, TOKEN_SCOPES };
@@ -0,0 +1,226 @@
+const path = require('path');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const FileType = require('file-type');
+const { FileSystemService } = require('./filesystem.service');
+const { VectorDBService } = require('./vectordb.service');
+const { QuotaService } = require('./quota.service');
+const { AppError } = require('../middleware/errorHandler');
+const { detectLanguage, isBinary, isAssetType } = require('../utils/language');
+const { normalizeFilePath } = require('../utils/paths');
+const { logger } = require('../utils/logger');
+
+const MAX_IMPORT_FILES = parseInt(process.env.IMPORT_MAX_FILES) || 2000;
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_UNCOMPRESSED_SIZE) || 100 * 1024 * 1024;
+
+// Conflict strategies when an imported path already exists
+const CONFLICT_MODES = ['overwrite', 'skip', 'rename'];
+
+// OS clutter that never belongs in a project
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db)(\/|$)/;
+
+/**
+ * Normalize an archive entry name to a project path: { path }, or
+ * { reason } when it isn't usable
+ */
+function normalizeEntryPath(name) {
+  try {
+    // Some zip tools store absolute names; they are taken as relative
+    return { path: normalizeFilePath(name.replace(/^[\\/]+/, '')) };
+  } catch (error) {
+    return { reason: error.message };
+  }
+}
+
+/**
+ * 413 for an archive that unpacks to more than MAX_IMPORT_BYTES
+ */
+function tooLargeError() {
+  return new AppError(`Archive is too large when unpacked (max ${MAX_IMPORT_BYTES} bytes)`, 413);
+}
+
+/**
+ * Zip archives of project files, both ways
+ */
+class ArchiveService {
+  constructor() {
+    this.fileSystem = new FileSystemService();
+    this.vectorDB = new VectorDBService();
+    this.quotas = new QuotaService();
+  }
+
+  /**
+   * Stream a zip of every file in the project to a writable stream
+   */
+  async exportProject(projectId, output) {
+    const files = await this.fileSystem.getProjectFilesWithContent(projectId, { includeData: true });
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+
+    for (const file of files) {
+      archive.append(file.is_binary ? file.data : file.content || '', { name: file.path });
+    }
+
+    await archive.finalize();
+    await finished;
+
+    logger.info(`Exported project ${projectId}: ${files.length} files`);
+
+    return files.length;
+  }
+
+  /**
+   * Read files from a zip on disk. A single top-level folder shared by
+   * every entry (as in GitHub downloads) is stripped. Binary files of an
+   * asset type (images, fonts...) come back as assets; other binaries and
+   * unsafe paths are skipped and reported.
+   */
+  async readZip(zipPath) {
+    let zip;
+    try {
+      zip = new AdmZip(zipPath);
+    } catch (error) {
+      throw new AppError('Upload is not a valid zip archive', 400);
+    }
+
+    const entries = zip.getEntries().filter(e => !e.isDirectory && !IGNORED_ENTRIES.test(e.entryName));
+
+    if (entries.length > MAX_IMPORT_FILES) {
+      throw new AppError(`Archive has too many files (max ${MAX_IMPORT_FILES})`, 413);
+    }
+
+    const normalized = entries.map(e => normalizeEntryPath(e.entryName));
+    const names = normalized.map(n => n.path);
+    const roots = new Set(names.filter(Boolean).map(n => n.split('/')[0]));
+    const stripRoot = roots.size === 1 && names.every(n => !n || n.includes('/'));
+
+    const files = [];
+    const skipped = [];
+    let unpackedBytes = 0;
+
+    for (const [i, entry] of entries.entries()) {
+      let filePath = names[i];
+
+      if (!filePath) {
+        skipped.push({ path: entry.entryName, reason: normalized[i].reason });
+        continue;
+      }
+
+      if (stripRoot) {
+        filePath = filePath.substring(filePath.indexOf('/') + 1);
+      }
+
+      // Sizes in the archive are only claims: the declared size is checked
+      // before unpacking (it is what gets allocated), the real one after
+      if (unpackedBytes + entry.header.size > MAX_IMPORT_BYTES) {
+        throw tooLargeError();
+      }
+
+      let data;
+      try {
+        data = entry.getData();
+      } catch (error) {
+        // Includes entries that inflate past their declared size
+        throw new AppError(`Archive entry could not be unpacked: ${entry.entryName}`, 400);
+      }
+
+      unpackedBytes += data.length;
+
+      if (unpackedBytes > MAX_IMPORT_BYTES) {
+        throw tooLargeError();
+      }
+
+      if (!isBinary(data)) {
+        files.push({
+          path: filePath,
+          content: data.toString('utf8'),
+          language: detectLanguage(filePath)
+        });
+        continue;
+      }
+
+      const detected = await FileType.fromBuffer(data);
+      const mimeType = detected ? detected.mime : 'application/octet-stream';
+
+      if (!isAssetType(mimeType)) {
+        skipped.push({ path: filePath, reason: `unsupported file type: ${mimeType}` });
+        continue;
+      }
+
+      files.push({ path: filePath, data, mimeType, is_binary: true, size: data.length });
+    }
+
+    return { files, skipped };
+  }
+
+  /**
+   * Decide what to write for files being imported into a project.
+   * conflict: overwrite (replace), skip (keep existing) or rename (file-1.js)
+   */
+  async planImport(projectId, files, conflict = 'overwrite') {
+    if (!CONFLICT_MODES.includes(conflict)) {
+      throw new AppError(`Invalid conflict mode. Allowed: ${CONFLICT_MODES.join(', ')}`, 400);
+    }
+
+    const existing = new Set(
+      (await this.fileSystem.getProjectFiles(projectId)).map(f => f.path)
+    );
+
+    const toSave = [];
+    const skipped = [];
+    const renamed = [];
+
+    for (const file of files) {
+      if (!existing.has(file.path) || conflict === 'overwrite') {
+        toSave.push(file);
+      } else if (conflict === 'skip') {
+        skipped.push({ path: file.path, reason: 'already exists' });
+        continue;
+      } else {
+        const { dir, name, ext } = path.posix.parse(file.path);
+        let candidate;
+        let n = 1;
+
+        do {
+          candidate = path.posix.join(dir, `${name}-${n++}${ext}`);
+        } while (existing.has(candidate));
+
+        renamed.push({ from: file.path, to: candidate });
+        toSave.push({ ...file, path: candidate });
+      }
+
+      existing.add(toSave[toSave.length - 1].path);
+    }
+
+    return { toSave, skipped, renamed };
+  }
+
+  /**
+   * Write files into a project, resolving path conflicts (see planImport),
+   * and index them. Throws if the files don't fit the owner's quotas.
+   */
+  async importFiles(projectId, files, conflict = 'overwrite', userId = null) {
+    const { toSave, skipped, renamed } = await this.planImport(projectId, files, conflict);
+
+    await this.quotas.checkFiles(projectId, toSave);
+    await this.fileSystem.saveFiles(projectId, toSave, { userId });
+    await this.vectorDB.upsertFiles(projectId, toSave);
+
+    logger.info(`Imported ${toSave.length} files into project ${projectId}`);
+
+    return {
+      imported: toSave.map(f => f.path),
+      skipped,
+      renamed
+    };
+  }
+}
+
+module.exports = { ArchiveService, CONFLICT_MODES };
@@ -0,0 +1,67 @@
+const { Pool } = require('pg');
+const { logger } = require('../utils/logger');
+
+/**
+ * Append-only audit trail of administrative and security-relevant actions
+ */
+class AuditService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Record an action. Failures are logged, never thrown, so auditing
+   * can't break the action it describes.
+   */
+  async record({ actorId = null, action, targetType = null, targetId = null, details = {}, ip = null }) {
+    try {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query(
+          `INSERT INTO audit_log (actor_id, action, target_type, target_id, details, ip_address)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [actorId, action, targetType, targetId, JSON.stringify(details), ip]
+        );
+
+      } finally {
+        client.release();
+      }
+
+      logger.info('Audit', { actorId, action, targetType, targetId });
+
+    } catch (error) {
+      logger.error('Error writing audit log:', error);
+    }
+  }
+
+  /**
+   * List audit entries, newest first, with optional filters
+   */
+  async list({ actorId = null, targetId = null, action = null, limit = 50, offset = 0 } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT a.*, u.email AS actor_email, u.username AS actor_username
+         FROM audit_log a
+         LEFT JOIN users u ON u.id = a.actor_id
+         WHERE ($1::uuid IS NULL OR a.actor_id = $1::uuid)
+           AND ($2::text IS NULL OR a.target_id = $2::text)
+           AND ($3::text IS NULL OR a.action = $3::text)
+         ORDER BY a.created_at DESC
+         LIMIT $4 OFFSET $5`,
+        [actorId, targetId, action, limit, offset]
+      );
+
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { AuditService };
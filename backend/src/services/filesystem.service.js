@@ -1,48 +1,193 @@
 const { Pool } = require('pg');
+const { QuotaService } = require('./quota.service');
+const { AppError, FileConflictError } = require('../middleware/errorHandler');
+const { fileETag, matchesIfMatch } = require('../utils/etag');
 const { logger } = require('../utils/logger');
 
+// Matches paths inside the folder given as $2
+const INSIDE_FOLDER = 'left(path, length($2::text) + 1) = $2::text || \'/\'';
+
 class FileSystemService {
   constructor() {
     this.pool = new Pool({
       connectionString: process.env.DATABASE_URL
     });
+    this.quotas = new QuotaService();
   }
 
   /**
-   * Save or update file
+   * Save or update file, recording a revision when the content changed.
+   * author: who wrote this version - authorType 'user' or 'ai', userId,
+   * and for AI writes the assistant messageId.
+   * ifMatch: parsed If-Match; the write fails with FileConflictError
+   * unless the stored file matches it.
    */
-  async saveFile(projectId, path, content, language = 'text') {
+  async saveFile(projectId, path, content, language = 'text', author = {}, { ifMatch = null } = {}) {
+    // Routes check every quota up front; the file size limit holds everywhere
+    this.quotas.checkFileSize(path, Buffer.byteLength(content, 'utf8'));
+
     const client = await this.pool.connect();
 
     try {
-      const size = Buffer.byteLength(content, 'utf8');
+      await client.query('BEGIN');
 
-      const query = `
-        INSERT INTO files (project_id, path, content, language, size)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (project_id, path)
-        DO UPDATE SET
-          content = EXCLUDED.content,
-          language = EXCLUDED.language,
-          size = EXCLUDED.size,
-          updated_at = CURRENT_TIMESTAMP
-        RETURNING *
-      `;
+      if (ifMatch) {
+        const current = await this.lockFile(client, projectId, path);
+
+        if (!matchesIfMatch(current, ifMatch)) {
+          throw new FileConflictError([this.toConflict(path, ifMatch, current)]);
+        }
+      }
+
+      const saved = await this.writeFile(client, projectId, path, content, language, author);
 
-      const result = await client.query(query, [
-        projectId,
-        path,
-        content,
-        language,
-        size
-      ]);
+      await client.query('COMMIT');
 
       logger.info(`Saved file: ${path} in project ${projectId}`);
 
-      return result.rows[0];
+      return saved;
 
     } catch (error) {
-      logger.error('Error saving file:', error);
+      await client.query('ROLLBACK');
+      if (!error.status) {
+        logger.error('Error saving file:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Current row of a path, locked until the transaction ends; null if absent
+   */
+  async lockFile(client, projectId, path) {
+    const result = await client.query(
+      `SELECT id, path, content, language, size, version, is_binary, author_type, updated_by, updated_at
+       FROM files
+       WHERE project_id = $1 AND path = $2
+       FOR UPDATE`,
+      [projectId, path]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Upsert a text file and its revision inside the caller's transaction
+   */
+  async writeFile(client, projectId, path, content, language = 'text', author = {}) {
+    const { authorType = 'user', userId = null, messageId = null } = author;
+    const size = Buffer.byteLength(content, 'utf8');
+
+    const query = `
+      INSERT INTO files (project_id, path, content, language, size, author_type, updated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (project_id, path)
+      DO UPDATE SET
+        content = EXCLUDED.content,
+        language = EXCLUDED.language,
+        size = EXCLUDED.size,
+        author_type = EXCLUDED.author_type,
+        updated_by = EXCLUDED.updated_by,
+        is_binary = false,
+        mime_type = NULL,
+        data = NULL,
+        version = files.version + 1,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+
+    const result = await client.query(query, [
+      projectId,
+      path,
+      content,
+      language,
+      size,
+      authorType,
+      userId
+    ]);
+
+    // Saving unchanged content doesn't add a revision
+    await client.query(
+      `INSERT INTO file_revisions (project_id, path, content, size, author_type, user_id, message_id)
+       SELECT $1, $2, $3::text, $4, $5, $6, $7
+       WHERE $3::text IS DISTINCT FROM (
+         SELECT content FROM file_revisions
+         WHERE project_id = $1 AND path = $2
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       )`,
+      [projectId, path, content, size, authorType, userId, messageId]
+    );
+
+    const { data, ...file } = result.rows[0];
+
+    return { ...file, etag: fileETag(file) };
+  }
+
+  /**
+   * Conflict entry for FileConflictError
+   */
+  toConflict(path, ifMatch, current) {
+    return {
+      path,
+      expected: ifMatch === '*' ? '*' : ifMatch.join(', '),
+      current: current && {
+        ...current,
+        content: current.is_binary ? null : current.content || '',
+        etag: fileETag(current)
+      }
+    };
+  }
+
+  /**
+   * Upsert a binary asset inside the caller's transaction. Assets have no
+   * revisions; history is kept for text only.
+   */
+  async writeBinaryFile(client, projectId, path, data, mimeType, author = {}) {
+    const { userId = null } = author;
+
+    const result = await client.query(
+      `INSERT INTO files (project_id, path, content, language, size, author_type, updated_by, is_binary, mime_type, data)
+       VALUES ($1, $2, NULL, 'binary', $3, 'user', $4, true, $5, $6)
+       ON CONFLICT (project_id, path)
+       DO UPDATE SET
+         content = NULL,
+         language = 'binary',
+         size = EXCLUDED.size,
+         author_type = 'user',
+         updated_by = EXCLUDED.updated_by,
+         is_binary = true,
+         mime_type = EXCLUDED.mime_type,
+         data = EXCLUDED.data,
+         version = files.version + 1,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING id, project_id, path, language, size, version, author_type, updated_by,
+         is_binary, mime_type, created_at, updated_at`,
+      [projectId, path, data.length, userId, mimeType, data]
+    );
+
+    return { ...result.rows[0], etag: fileETag(result.rows[0]) };
+  }
+
+  /**
+   * Save or replace an uploaded binary asset
+   */
+  async saveBinaryFile(projectId, path, data, mimeType, author = {}) {
+    this.quotas.checkFileSize(path, data.length);
+
+    const client = await this.pool.connect();
+
+    try {
+      const file = await this.writeBinaryFile(client, projectId, path, data, mimeType, author);
+
+      logger.info(`Saved asset: ${path} (${mimeType}) in project ${projectId}`);
+
+      return file;
+
+    } catch (error) {
+      logger.error('Error saving asset:', error);
       throw error;
     } finally {
       client.release();
@@ -67,7 +212,10 @@ class FileSystemService {
         throw new Error(`File not found: ${path}`);
       }
 
-      return result.rows[0];
+      // Asset bytes are only served raw (see readFileData)
+      const { data, ...file } = result.rows[0];
+
+      return { ...file, etag: fileETag(file) };
 
     } catch (error) {
       logger.error('Error reading file:', error);
@@ -77,6 +225,28 @@ class FileSystemService {
     }
   }
 
+  /**
+   * A file with its stored bytes (data for assets, content for text);
+   * null if it doesn't exist
+   */
+  async readFileData(projectId, path) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT path, content, is_binary, mime_type, data, updated_at
+         FROM files
+         WHERE project_id = $1 AND path = $2`,
+        [projectId, path]
+      );
+
+      return result.rows[0] || null;
+
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Get all files for a project
    */
@@ -85,7 +255,7 @@ class FileSystemService {
 
     try {
       const query = `
-        SELECT id, path, language, size, created_at, updated_at
+        SELECT id, path, language, size, is_binary, mime_type, created_at, updated_at
         FROM files
         WHERE project_id = $1
         ORDER BY path ASC
@@ -104,25 +274,74 @@ class FileSystemService {
   }
 
   /**
-   * Get file tree structure
+   * Get all files for a project including their content. Asset bytes are
+   * only loaded with includeData.
+   */
+  async getProjectFilesWithContent(projectId, { includeData = false } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      const query = `
+        SELECT path, content, language, is_binary${includeData ? ', data' : ''}
+        FROM files
+        WHERE project_id = $1
+        ORDER BY path ASC
+      `;
+
+      const result = await client.query(query, [projectId]);
+
+      return result.rows;
+
+    } catch (error) {
+      logger.error('Error getting project files:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get file tree structure, including empty folders
    */
   async getFileTree(projectId) {
     const files = await this.getProjectFiles(projectId);
+    const directories = await this.getDirectories(projectId);
 
     const tree = this.buildTree(files.map(f => ({
       path: f.path,
       ...f
-    })));
+    })), directories.map(d => d.path));
 
     return tree;
   }
 
   /**
-   * Build tree structure from flat file list
+   * Build tree structure from flat file list and explicit folder paths
    */
-  buildTree(files) {
+  buildTree(files, directories = []) {
     const root = { name: '/', type: 'directory', children: [] };
 
+    directories.forEach(dirPath => {
+      const parts = dirPath.split('/').filter(p => p);
+      let current = root;
+
+      parts.forEach((part, idx) => {
+        let child = current.children.find(c => c.name === part && c.type === 'directory');
+
+        if (!child) {
+          child = {
+            name: part,
+            type: 'directory',
+            path: parts.slice(0, idx + 1).join('/'),
+            children: []
+          };
+          current.children.push(child);
+        }
+
+        current = child;
+      });
+    });
+
     files.forEach(file => {
       const parts = file.path.split('/').filter(p => p);
       let current = root;
@@ -137,12 +356,17 @@ class FileSystemService {
             children: idx === parts.length - 1 ? undefined : []
           };
 
+          if (idx < parts.length - 1) {
+            child.path = parts.slice(0, idx + 1).join('/');
+          }
+
           if (idx === parts.length - 1) {
             // It's a file
             child.id = file.id;
             child.language = file.language;
             child.size = file.size;
             child.path = file.path;
+            child.isBinary = file.is_binary;
           }
 
           current.children.push(child);
@@ -178,7 +402,9 @@ class FileSystemService {
 
       logger.info(`Deleted file: ${path} from project ${projectId}`);
 
-      return result.rows[0];
+      const { data, ...file } = result.rows[0];
+
+      return file;
 
     } catch (error) {
       logger.error('Error deleting file:', error);
@@ -188,6 +414,267 @@ class FileSystemService {
     }
   }
 
+  /**
+   * Explicitly created folders of a project
+   */
+  async getDirectories(projectId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT id, path, created_at FROM directories WHERE project_id = $1 ORDER BY path ASC',
+        [projectId]
+      );
+
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create an (empty) folder. Throws 409 if a file or folder already
+   * has that path.
+   */
+  async createDirectory(projectId, path) {
+    const client = await this.pool.connect();
+
+    try {
+      const file = await client.query(
+        'SELECT 1 FROM files WHERE project_id = $1 AND path = $2',
+        [projectId, path]
+      );
+
+      if (file.rows.length > 0) {
+        throw new AppError(`A file already exists at ${path}`, 409);
+      }
+
+      const result = await client.query(
+        `INSERT INTO directories (project_id, path)
+         VALUES ($1, $2)
+         ON CONFLICT (project_id, path) DO NOTHING
+         RETURNING *`,
+        [projectId, path]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError(`Folder already exists: ${path}`, 409);
+      }
+
+      logger.info(`Created folder: ${path} in project ${projectId}`);
+
+      return result.rows[0];
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rename or move a file, with its history, in one transaction. The file
+   * keeps its id and gets a new version. Throws 404 if it doesn't exist,
+   * 409 if something is already at newPath, and FileConflictError if
+   * ifMatch is given and the file doesn't match it.
+   */
+  async moveFile(projectId, oldPath, newPath, { ifMatch = null } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await this.lockFile(client, projectId, oldPath);
+
+      if (!current) {
+        throw new AppError(`File not found: ${oldPath}`, 404);
+      }
+
+      if (!matchesIfMatch(current, ifMatch)) {
+        throw new FileConflictError([this.toConflict(oldPath, ifMatch, current)]);
+      }
+
+      const target = await client.query(
+        `SELECT
+           EXISTS (SELECT 1 FROM files WHERE project_id = $1 AND path = $2::text) AS file,
+           EXISTS (SELECT 1 FROM files WHERE project_id = $1 AND ${INSIDE_FOLDER})
+             OR EXISTS (SELECT 1 FROM directories WHERE project_id = $1 AND path = $2::text) AS folder`,
+        [projectId, newPath]
+      );
+
+      if (target.rows[0].file) {
+        throw new AppError(`A file already exists at ${newPath}`, 409);
+      }
+
+      if (target.rows[0].folder) {
+        throw new AppError(`A folder already exists at ${newPath}`, 409);
+      }
+
+      const result = await client.query(
+        `UPDATE files
+         SET path = $3, version = version + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE project_id = $1 AND path = $2
+         RETURNING *`,
+        [projectId, oldPath, newPath]
+      );
+
+      await client.query(
+        'UPDATE file_revisions SET path = $3 WHERE project_id = $1 AND path = $2',
+        [projectId, oldPath, newPath]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Moved file ${oldPath} to ${newPath} in project ${projectId}`);
+
+      const { data, ...file } = result.rows[0];
+
+      return { ...file, etag: fileETag(file) };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+
+      // Another write created the target between the check and the update
+      if (error.code === '23505') {
+        throw new AppError(`A file already exists at ${newPath}`, 409);
+      }
+
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rename or move a folder with everything in it, in one transaction.
+   * File history moves along. Returns the moved files as
+   * { oldPath, path, content, language, is_binary } so callers can re-key
+   * embeddings.
+   */
+  async moveDirectory(projectId, oldPath, newPath) {
+    if (newPath === oldPath || newPath.startsWith(`${oldPath}/`)) {
+      throw new AppError('A folder cannot be moved into itself', 400);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const files = await client.query(
+        `SELECT path, content, language, is_binary FROM files
+         WHERE project_id = $1 AND ${INSIDE_FOLDER}
+         FOR UPDATE`,
+        [projectId, oldPath]
+      );
+
+      const folders = await client.query(
+        `SELECT path FROM directories
+         WHERE project_id = $1 AND (path = $2::text OR ${INSIDE_FOLDER})`,
+        [projectId, oldPath]
+      );
+
+      if (files.rows.length === 0 && folders.rows.length === 0) {
+        throw new AppError(`Folder not found: ${oldPath}`, 404);
+      }
+
+      const moved = files.rows.map(file => ({
+        ...file,
+        oldPath: file.path,
+        path: newPath + file.path.slice(oldPath.length)
+      }));
+
+      const conflicts = await client.query(
+        'SELECT path FROM files WHERE project_id = $1 AND path = ANY($2)',
+        [projectId, [newPath, ...moved.map(f => f.path)]]
+      );
+
+      if (conflicts.rows.length > 0) {
+        throw new AppError(`A file already exists at ${conflicts.rows[0].path}`, 409);
+      }
+
+      await client.query(
+        `UPDATE files SET path = $3::text || substr(path, length($2::text) + 1)
+         WHERE project_id = $1 AND ${INSIDE_FOLDER}`,
+        [projectId, oldPath, newPath]
+      );
+
+      await client.query(
+        `UPDATE file_revisions SET path = $3::text || substr(path, length($2::text) + 1)
+         WHERE project_id = $1 AND ${INSIDE_FOLDER}`,
+        [projectId, oldPath, newPath]
+      );
+
+      const sourceFolders = folders.rows.map(f => f.path);
+      const targetFolders = sourceFolders.map(path => newPath + path.slice(oldPath.length));
+      const overlap = targetFolders.find(path => sourceFolders.includes(path));
+
+      if (overlap) {
+        throw new AppError(`Folder already exists: ${overlap}`, 409);
+      }
+
+      // Moving onto an existing folder merges the two
+      await client.query(
+        'DELETE FROM directories WHERE project_id = $1 AND path = ANY($2)',
+        [projectId, targetFolders]
+      );
+
+      await client.query(
+        `UPDATE directories SET path = $3::text || substr(path, length($2::text) + 1)
+         WHERE project_id = $1 AND (path = $2::text OR ${INSIDE_FOLDER})`,
+        [projectId, oldPath, newPath]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Moved folder ${oldPath} to ${newPath} (${moved.length} files) in project ${projectId}`);
+
+      return moved;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a folder and everything in it. Returns the deleted file paths.
+   */
+  async deleteDirectory(projectId, path) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const files = await client.query(
+        `DELETE FROM files WHERE project_id = $1 AND ${INSIDE_FOLDER} RETURNING path`,
+        [projectId, path]
+      );
+
+      const folders = await client.query(
+        `DELETE FROM directories WHERE project_id = $1 AND (path = $2::text OR ${INSIDE_FOLDER}) RETURNING path`,
+        [projectId, path]
+      );
+
+      if (files.rows.length === 0 && folders.rows.length === 0) {
+        throw new AppError(`Folder not found: ${path}`, 404);
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(`Deleted folder ${path} (${files.rows.length} files) from project ${projectId}`);
+
+      return files.rows.map(f => f.path);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Delete all files for a project
    */
@@ -213,22 +700,65 @@ class FileSystemService {
   }
 
   /**
-   * Batch save files
+   * Save multiple files in one transaction. Entries with is_binary are
+   * assets ({ path, data, mimeType }); the rest are text.
+   * ifMatch: parsed If-Match listing the ETags the client last saw. Files
+   * that exist must match one of them; new files are created unless it is
+   * '*'. Every conflict is reported and nothing is saved.
    */
-  async saveFiles(projectId, files) {
-    const savedFiles = [];
-
+  async saveFiles(projectId, files, author = {}, { ifMatch = null } = {}) {
     for (const file of files) {
-      const saved = await this.saveFile(
-        projectId,
+      this.quotas.checkFileSize(
         file.path,
-        file.content,
-        file.language
+        file.is_binary ? file.data.length : Buffer.byteLength(file.content, 'utf8')
       );
-      savedFiles.push(saved);
     }
 
-    return savedFiles;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (ifMatch) {
+        const conflicts = [];
+
+        for (const file of files) {
+          const current = await this.lockFile(client, projectId, file.path);
+          const matches = current ? matchesIfMatch(current, ifMatch) : ifMatch !== '*';
+
+          if (!matches) {
+            conflicts.push(this.toConflict(file.path, ifMatch, current));
+          }
+        }
+
+        if (conflicts.length > 0) {
+          throw new FileConflictError(conflicts);
+        }
+      }
+
+      const savedFiles = [];
+
+      for (const file of files) {
+        savedFiles.push(file.is_binary
+          ? await this.writeBinaryFile(client, projectId, file.path, file.data, file.mimeType, author)
+          : await this.writeFile(client, projectId, file.path, file.content, file.language, author));
+      }
+
+      await client.query('COMMIT');
+
+      logger.info(`Saved ${savedFiles.length} files in project ${projectId}`);
+
+      return savedFiles;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.status) {
+        logger.error('Error saving files:', error);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 }
 
@@ -0,0 +1,165 @@
+const { Pool } = require('pg');
+const { logger } = require('../utils/logger');
+
+const WINDOW_MINUTES = parseInt(process.env.LOCKOUT_WINDOW_MINUTES) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_DURATION_MINUTES) || 15;
+const DELAY_AFTER = parseInt(process.env.LOCKOUT_DELAY_AFTER) || 3;
+const MAX_DELAY_SECONDS = 60;
+
+/**
+ * Counters, each keyed by account email or client IP:
+ *   password    - wrong passwords for one account (login + change-password)
+ *   login_ip    - failed logins from one IP, across accounts
+ *   register_ip - registrations from one IP
+ *   totp        - wrong second-factor codes for one account (keyed by user id)
+ */
+const BUCKETS = {
+  password: { threshold: parseInt(process.env.LOCKOUT_ACCOUNT_THRESHOLD) || 5 },
+  totp: { threshold: parseInt(process.env.LOCKOUT_ACCOUNT_THRESHOLD) || 5 },
+  login_ip: { threshold: parseInt(process.env.LOCKOUT_IP_THRESHOLD) || 20 },
+  register_ip: { threshold: parseInt(process.env.REGISTER_IP_THRESHOLD) || 10 }
+};
+
+/**
+ * Failed-attempt tracking with progressive delays and temporary lockout
+ */
+class LockoutService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Check whether any of the given counters currently blocks an attempt.
+   * Returns null when allowed, otherwise { bucket, locked, retryAfter } in seconds.
+   */
+  async check(entries) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT bucket, failures,
+           first_failure_at < CURRENT_TIMESTAMP - make_interval(mins => $3) AS stale,
+           EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) AS lock_seconds,
+           EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - last_failure_at)) AS since_last_failure
+         FROM auth_failures
+         WHERE (bucket, key) IN (SELECT * FROM unnest($1::text[], $2::text[]))`,
+        [entries.map(e => e.bucket), entries.map(e => e.key), WINDOW_MINUTES]
+      );
+
+      let blocked = null;
+
+      for (const row of result.rows) {
+        const lockSeconds = parseFloat(row.lock_seconds) || 0;
+        let retryAfter = 0;
+        let locked = false;
+
+        if (lockSeconds > 0) {
+          retryAfter = Math.ceil(lockSeconds);
+          locked = true;
+        } else if (!row.stale && row.failures >= DELAY_AFTER) {
+          // Progressive delay: 1s, 2s, 4s ... between attempts
+          const delay = Math.min(2 ** (row.failures - DELAY_AFTER), MAX_DELAY_SECONDS);
+          const wait = delay - parseFloat(row.since_last_failure);
+          retryAfter = wait > 0 ? Math.ceil(wait) : 0;
+        }
+
+        if (retryAfter > 0 && (!blocked || retryAfter > blocked.retryAfter)) {
+          blocked = { bucket: row.bucket, locked, retryAfter };
+        }
+      }
+
+      return blocked;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a failed attempt on each counter. Counters that reach their
+   * threshold are locked; returns the entries that just became locked.
+   */
+  async recordFailure(entries, context = {}) {
+    const client = await this.pool.connect();
+    const newlyLocked = [];
+
+    try {
+      for (const entry of entries) {
+        const { threshold } = BUCKETS[entry.bucket];
+
+        const result = await client.query(
+          `INSERT INTO auth_failures (bucket, key, failures, first_failure_at, last_failure_at)
+           VALUES ($1, $2, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+           ON CONFLICT (bucket, key) DO UPDATE SET
+             failures = CASE
+               WHEN auth_failures.first_failure_at < CURRENT_TIMESTAMP - make_interval(mins => $3)
+               THEN 1 ELSE auth_failures.failures + 1 END,
+             first_failure_at = CASE
+               WHEN auth_failures.first_failure_at < CURRENT_TIMESTAMP - make_interval(mins => $3)
+               THEN CURRENT_TIMESTAMP ELSE auth_failures.first_failure_at END,
+             last_failure_at = CURRENT_TIMESTAMP
+           RETURNING failures,
+             COALESCE(locked_until > CURRENT_TIMESTAMP, false) AS locked`,
+          [entry.bucket, entry.key, WINDOW_MINUTES]
+        );
+
+        const { failures, locked } = result.rows[0];
+
+        if (failures >= threshold && !locked) {
+          await client.query(
+            `UPDATE auth_failures
+             SET locked_until = CURRENT_TIMESTAMP + make_interval(mins => $3)
+             WHERE bucket = $1 AND key = $2`,
+            [entry.bucket, entry.key, LOCKOUT_MINUTES]
+          );
+
+          logger.warn('Lockout triggered', {
+            bucket: entry.bucket,
+            key: entry.key,
+            failures,
+            lockedForMinutes: LOCKOUT_MINUTES,
+            ...context
+          });
+
+          newlyLocked.push(entry);
+        }
+      }
+
+      return newlyLocked;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Clear counters after a successful attempt
+   */
+  async reset(entries) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query(
+        `DELETE FROM auth_failures
+         WHERE (bucket, key) IN (SELECT * FROM unnest($1::text[], $2::text[]))`,
+        [entries.map(e => e.bucket), entries.map(e => e.key)]
+      );
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lift the lockout on an account
+   */
+  async unlockAccount(email, context = {}) {
+    await this.reset([{ bucket: 'password', key: email.toLowerCase() }]);
+
+    logger.info('Account unlocked', { email, ...context });
+  }
+}
+
+module.exports = { LockoutService };
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../utils/logger');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'AI Artifact Builder <no-reply@localhost>';
+
+/**
+ * Console transport - logs messages instead of sending them (local development)
+ */
+class ConsoleTransport {
+  async send(message) {
+    logger.info('📧 Email (console transport)', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+}
+
+/**
+ * File transport - writes each message as JSON into a directory
+ */
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async send(message) {
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+
+    await fs.promises.writeFile(
+      path.join(this.directory, filename),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    logger.info(`📧 Email written to ${filename}`);
+  }
+}
+
+/**
+ * SMTP transport - production delivery through nodemailer
+ */
+class SmtpTransport {
+  constructor(options) {
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Pick a transport from MAIL_TRANSPORT (console | file | smtp)
+ */
+function createTransportFromEnv() {
+  const type = process.env.MAIL_TRANSPORT || 'console';
+
+  switch (type) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+    case 'file':
+      return new FileTransport(
+        process.env.MAIL_FILE_DIR || path.join(__dirname, '../../logs/mail')
+      );
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+  }
+}
+
+class MailerService {
+  constructor(transport = createTransportFromEnv()) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a message through the configured transport
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      await this.transport.send({ from: MAIL_FROM, to, subject, text, html });
+      logger.info(`Email sent: "${subject}" to ${to}`);
+    } catch (error) {
+      logger.error('Error sending email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Email address confirmation link
+   */
+  async sendVerificationEmail(user, token) {
+    const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Hi ${user.username},\n\n` +
+        `Please confirm your email address by opening this link:\n${link}\n\n` +
+        `If you didn't create an account, you can ignore this email.`
+    });
+  }
+
+  /**
+   * Password reset link
+   */
+  async sendPasswordResetEmail(user, token, expiresInMinutes) {
+    const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\n` +
+        `Someone asked to reset the password for your account. ` +
+        `Open this link within ${expiresInMinutes} minutes to choose a new one:\n${link}\n\n` +
+        `If it wasn't you, you can ignore this email - your password is unchanged.`
+    });
+  }
+
+  /**
+   * Account locked after repeated failed logins, with an early unlock link
+   */
+  async sendAccountLockedEmail(user, token, expiresInMinutes) {
+    const link = `${FRONTEND_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+
+    await this.send({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: `Hi ${user.username},\n\n` +
+        `We locked your account after several failed sign-in attempts. ` +
+        `It will unlock by itself shortly, or you can unlock it now ` +
+        `(link valid for ${expiresInMinutes} minutes):\n${link}\n\n` +
+        `If these attempts weren't you, consider changing your password.`
+    });
+  }
+
+  /**
+   * Project sharing invitation
+   */
+  async sendProjectInvitation(invitee, inviter, project, role) {
+    await this.send({
+      to: invitee.email,
+      subject: `${inviter.username} shared "${project.name}" with you`,
+      text: `Hi ${invitee.username},\n\n` +
+        `${inviter.username} invited you to the project "${project.name}" as ${role}.\n` +
+        `Open ${FRONTEND_URL} to accept the invitation.`
+    });
+  }
+}
+
+module.exports = {
+  MailerService,
+  ConsoleTransport,
+  FileTransport,
+  SmtpTransport
+};
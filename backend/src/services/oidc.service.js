@@ -0,0 +1,263 @@
+const { Pool } = require('pg');
+const { Issuer, generators } = require('openid-client');
+const { sha256 } = require('../utils/crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { adminRoleFor } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+const STATE_TTL_MINUTES = 10;
+
+/**
+ * Read provider settings from the environment:
+ *   OIDC_PROVIDERS=corp,google
+ *   OIDC_CORP_ISSUER, OIDC_CORP_CLIENT_ID, OIDC_CORP_CLIENT_SECRET
+ *   OIDC_CORP_REDIRECT_URI (optional), OIDC_CORP_NAME (optional), OIDC_CORP_SCOPES (optional)
+ */
+function loadProviders() {
+  const providers = {};
+
+  for (const id of (process.env.OIDC_PROVIDERS || '').split(',').map(p => p.trim().toLowerCase())) {
+    if (!id) continue;
+
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      logger.warn(`OIDC provider "${id}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID, skipping`);
+      continue;
+    }
+
+    providers[id] = {
+      id,
+      name: process.env[`${prefix}NAME`] || id,
+      issuer,
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+      redirectUri: process.env[`${prefix}REDIRECT_URI`] || `${API_URL}/api/auth/oidc/${id}/callback`,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+    };
+  }
+
+  return providers;
+}
+
+/**
+ * OpenID Connect authorization-code login (with PKCE) against configured providers
+ */
+class OidcService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+    this.providers = loadProviders();
+    this.clients = {};
+  }
+
+  /**
+   * Public list of enabled providers
+   */
+  listProviders() {
+    return Object.values(this.providers).map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Discovered client for a provider (cached after the first discovery)
+   */
+  async getClient(providerId) {
+    const provider = this.providers[providerId];
+
+    if (!provider) {
+      throw new AppError('Unknown sign-in provider', 404);
+    }
+
+    if (!this.clients[providerId]) {
+      const issuer = await Issuer.discover(provider.issuer);
+
+      this.clients[providerId] = new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        redirect_uris: [provider.redirectUri],
+        response_types: ['code'],
+        token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+      });
+
+      logger.info(`OIDC provider discovered: ${providerId} (${issuer.issuer})`);
+    }
+
+    return { provider, client: this.clients[providerId] };
+  }
+
+  /**
+   * Start a login: remember state, nonce and PKCE verifier, return the IdP URL
+   */
+  async beginLogin(providerId) {
+    const { provider, client } = await this.getClient(providerId);
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const db = await this.pool.connect();
+
+    try {
+      // Opportunistic cleanup of abandoned logins
+      await db.query('DELETE FROM oidc_login_states WHERE expires_at <= CURRENT_TIMESTAMP');
+
+      await db.query(
+        `INSERT INTO oidc_login_states (state_hash, provider, nonce, code_verifier, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(mins => $5))`,
+        [sha256(state), providerId, nonce, codeVerifier, STATE_TTL_MINUTES]
+      );
+
+    } finally {
+      db.release();
+    }
+
+    return client.authorizationUrl({
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+  }
+
+  /**
+   * Finish a login from the callback URL. Returns the local user,
+   * linking or creating it as needed.
+   */
+  async completeLogin(providerId, callbackUrl) {
+    const { provider, client } = await this.getClient(providerId);
+    const params = client.callbackParams(callbackUrl);
+
+    if (params.error) {
+      throw new AppError(params.error_description || params.error, 401);
+    }
+
+    const db = await this.pool.connect();
+    let login;
+
+    try {
+      const result = await db.query(
+        `DELETE FROM oidc_login_states
+         WHERE state_hash = $1 AND provider = $2 AND expires_at > CURRENT_TIMESTAMP
+         RETURNING nonce, code_verifier`,
+        [sha256(String(params.state || '')), providerId]
+      );
+
+      login = result.rows[0];
+
+    } finally {
+      db.release();
+    }
+
+    if (!login) {
+      throw new AppError('Sign-in request expired, please try again', 401);
+    }
+
+    const tokenSet = await client.callback(provider.redirectUri, params, {
+      state: params.state,
+      nonce: login.nonce,
+      code_verifier: login.code_verifier
+    });
+
+    const claims = tokenSet.claims();
+
+    return this.resolveUser(providerId, claims);
+  }
+
+  /**
+   * Map IdP claims to a local user:
+   * 1. an existing identity link, 2. an account with the same verified email,
+   * 3. a new account created just in time
+   */
+  async resolveUser(providerId, claims) {
+    const email = claims.email ? claims.email.toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+    const db = await this.pool.connect();
+
+    try {
+      await db.query('BEGIN');
+
+      const linked = await db.query(
+        `SELECT u.* FROM user_identities i
+         JOIN users u ON u.id = i.user_id
+         WHERE i.provider = $1 AND i.subject = $2`,
+        [providerId, claims.sub]
+      );
+
+      let user = linked.rows[0];
+
+      if (user) {
+        await db.query(
+          `UPDATE user_identities SET email = $1, last_login_at = CURRENT_TIMESTAMP
+           WHERE provider = $2 AND subject = $3`,
+          [email, providerId, claims.sub]
+        );
+      } else {
+        if (!email || !emailVerified) {
+          throw new AppError('Your identity provider did not share a verified email address', 403);
+        }
+
+        const existing = await db.query('SELECT * FROM users WHERE email = $1', [email]);
+        user = existing.rows[0];
+
+        if (user) {
+          logger.info(`Linking ${providerId} identity to existing user: ${email}`);
+        } else {
+          const created = await db.query(
+            `INSERT INTO users (email, password_hash, username, email_verified_at, role)
+             VALUES ($1, NULL, $2, CURRENT_TIMESTAMP, $3)
+             RETURNING *`,
+            [email, usernameFromClaims(claims, email), adminRoleFor(email)]
+          );
+
+          user = created.rows[0];
+
+          logger.info(`New user created from ${providerId} sign-in: ${email}`);
+        }
+
+        await db.query(
+          `INSERT INTO user_identities (user_id, provider, subject, email, last_login_at)
+           VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+          [user.id, providerId, claims.sub, email]
+        );
+
+        // The IdP vouched for the address
+        if (!user.email_verified_at) {
+          const verified = await db.query(
+            'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+            [user.id]
+          );
+          user = verified.rows[0];
+        }
+      }
+
+      if (!user.is_active) {
+        throw new AppError('Account is deactivated', 403);
+      }
+
+      await db.query('COMMIT');
+
+      return user;
+
+    } catch (error) {
+      await db.query('ROLLBACK');
+      throw error;
+    } finally {
+      db.release();
+    }
+  }
+}
+
+/**
+ * Pick a display username from the usual claims
+ */
+function usernameFromClaims(claims, email) {
+  return (claims.preferred_username || claims.name || email.split('@')[0]).substring(0, 100);
+}
+
+module.exports = { OidcService };
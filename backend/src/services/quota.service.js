@@ -0,0 +1,263 @@
+const { Pool } = require('pg');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Read a limit from the environment; 0 turns the limit off
+ */
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const LIMITS = {
+  maxFileSize: readLimit('QUOTA_MAX_FILE_SIZE', 1024 * 1024),
+  maxFilesPerProject: readLimit('QUOTA_MAX_FILES_PER_PROJECT', 1000),
+  maxStoragePerUser: readLimit('QUOTA_MAX_STORAGE_PER_USER', 100 * 1024 * 1024),
+  maxProjectsPerUser: readLimit('QUOTA_MAX_PROJECTS_PER_USER', 50)
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Per-user and per-project storage limits. Storage counts against the
+ * project owner, including projects in the trash until they are purged.
+ * Size violations answer 413, count limits 422.
+ */
+class QuotaService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Throw 413 if a single file is over the size limit
+   */
+  checkFileSize(path, size) {
+    if (LIMITS.maxFileSize && size > LIMITS.maxFileSize) {
+      throw new AppError(
+        `${path} is ${formatBytes(size)}; files can be at most ${formatBytes(LIMITS.maxFileSize)}`,
+        413
+      );
+    }
+  }
+
+  /**
+   * Check that writing files ({ path, content } or { path, size }) into an
+   * existing project stays within the file size, files-per-project and
+   * storage limits
+   */
+  async checkFiles(projectId, files) {
+    // Later entries for the same path win, as they do when saving
+    const sizes = new Map();
+
+    for (const file of files) {
+      const size = file.size ?? Buffer.byteLength(file.content || '', 'utf8');
+      this.checkFileSize(file.path, size);
+      sizes.set(file.path, size);
+    }
+
+    if (sizes.size === 0) {
+      return;
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      const usage = await client.query(
+        `SELECT
+           (SELECT COUNT(*) FROM files WHERE project_id = p.id)::int AS file_count,
+           (SELECT COALESCE(SUM(f.size), 0)
+            FROM files f JOIN projects o ON o.id = f.project_id
+            WHERE o.user_id = p.user_id)::bigint AS storage_bytes
+         FROM projects p
+         WHERE p.id = $1`,
+        [projectId]
+      );
+
+      const existing = await client.query(
+        'SELECT path, size FROM files WHERE project_id = $1 AND path = ANY($2)',
+        [projectId, [...sizes.keys()]]
+      );
+
+      const existingSizes = new Map(existing.rows.map(row => [row.path, row.size || 0]));
+
+      const newFiles = [...sizes.keys()].filter(path => !existingSizes.has(path)).length;
+      let addedBytes = 0;
+
+      for (const [path, size] of sizes) {
+        addedBytes += size - (existingSizes.get(path) || 0);
+      }
+
+      const { file_count: fileCount, storage_bytes: storageBytes } = usage.rows[0];
+
+      this.checkCounts({ fileCount: fileCount + newFiles });
+      this.checkStorage(parseInt(storageBytes), addedBytes);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a user may create another project holding files
+   * ({ path, content } or { path, size })
+   */
+  async checkNewProject(userId, files = []) {
+    let addedBytes = 0;
+
+    for (const file of files) {
+      const size = file.size ?? Buffer.byteLength(file.content || '', 'utf8');
+      this.checkFileSize(file.path, size);
+      addedBytes += size;
+    }
+
+    const usage = await this.getUserTotals(userId);
+
+    if (LIMITS.maxProjectsPerUser && usage.projects >= LIMITS.maxProjectsPerUser) {
+      throw new AppError(
+        `Project limit reached: you can have at most ${LIMITS.maxProjectsPerUser} projects`,
+        422
+      );
+    }
+
+    this.checkCounts({ fileCount: files.length });
+    this.checkStorage(usage.storageBytes, addedBytes);
+  }
+
+  /**
+   * Check a trashed project can come back without going over the project limit
+   */
+  async checkRestore(userId) {
+    const usage = await this.getUserTotals(userId);
+
+    if (LIMITS.maxProjectsPerUser && usage.projects >= LIMITS.maxProjectsPerUser) {
+      throw new AppError(
+        `Project limit reached: you can have at most ${LIMITS.maxProjectsPerUser} projects`,
+        422
+      );
+    }
+  }
+
+  /**
+   * Split files into those that fit the quotas, taken in order, and those
+   * that don't: { accepted, skipped: [{ path, reason }] }
+   */
+  async fitFiles(projectId, files) {
+    const accepted = [];
+    const skipped = [];
+
+    for (const file of files) {
+      try {
+        await this.checkFiles(projectId, [...accepted, file]);
+        accepted.push(file);
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+        skipped.push({ path: file.path, reason: error.message });
+      }
+    }
+
+    return { accepted, skipped };
+  }
+
+  /**
+   * Throw 422 if a project would hold more files than allowed
+   */
+  checkCounts({ fileCount }) {
+    if (LIMITS.maxFilesPerProject && fileCount > LIMITS.maxFilesPerProject) {
+      throw new AppError(
+        `File limit reached: a project can have at most ${LIMITS.maxFilesPerProject} files`,
+        422
+      );
+    }
+  }
+
+  /**
+   * Throw 413 if adding bytes would take a user over their storage quota
+   */
+  checkStorage(usedBytes, addedBytes) {
+    if (LIMITS.maxStoragePerUser && addedBytes > 0 && usedBytes + addedBytes > LIMITS.maxStoragePerUser) {
+      throw new AppError(
+        `Storage quota exceeded: ${formatBytes(usedBytes)} of ${formatBytes(LIMITS.maxStoragePerUser)} used, ` +
+        `this needs ${formatBytes(addedBytes)} more`,
+        413
+      );
+    }
+  }
+
+  /**
+   * Active projects and stored bytes (trash included) owned by a user
+   */
+  async getUserTotals(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT
+           (SELECT COUNT(*) FROM projects
+            WHERE user_id = $1 AND deleted_at IS NULL)::int AS projects,
+           (SELECT COALESCE(SUM(f.size), 0)
+            FROM files f JOIN projects p ON p.id = f.project_id
+            WHERE p.user_id = $1)::bigint AS storage_bytes`,
+        [userId]
+      );
+
+      return {
+        projects: result.rows[0].projects,
+        storageBytes: parseInt(result.rows[0].storage_bytes)
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * A user's usage next to each limit (null = unlimited), with
+   * per-project file counts
+   */
+  async getUsage(userId) {
+    const totals = await this.getUserTotals(userId);
+    const client = await this.pool.connect();
+
+    try {
+      const projects = await client.query(
+        `SELECT
+           p.id, p.name, p.deleted_at IS NOT NULL AS trashed,
+           COUNT(f.id)::int AS files,
+           COALESCE(SUM(f.size), 0)::bigint AS bytes
+         FROM projects p
+         LEFT JOIN files f ON f.project_id = p.id
+         WHERE p.user_id = $1
+         GROUP BY p.id
+         ORDER BY bytes DESC, p.name`,
+        [userId]
+      );
+
+      return {
+        storage: {
+          used: totals.storageBytes,
+          limit: LIMITS.maxStoragePerUser || null
+        },
+        projects: {
+          used: totals.projects,
+          limit: LIMITS.maxProjectsPerUser || null
+        },
+        maxFileSize: LIMITS.maxFileSize || null,
+        maxFilesPerProject: LIMITS.maxFilesPerProject || null,
+        byProject: projects.rows.map(p => ({ ...p, bytes: parseInt(p.bytes) }))
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { QuotaService, LIMITS };
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ignore = require('ignore');
+const { ArchiveService } = require('./archive.service');
+const { FileSystemService } = require('./filesystem.service');
+const { VectorDBService } = require('./vectordb.service');
+const { QuotaService } = require('./quota.service');
+const { AppError } = require('../middleware/errorHandler');
+const { detectLanguage, isBinary } = require('../utils/language');
+const { normalizeFilePath } = require('../utils/paths');
+const { logger } = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+const MAX_IMPORT_FILES = parseInt(process.env.IMPORT_MAX_FILES) || 2000;
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_UNCOMPRESSED_SIZE) || 100 * 1024 * 1024;
+const MAX_FILE_BYTES = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 1024 * 1024;
+const GIT_TIMEOUT_MS = parseInt(process.env.IMPORT_GIT_TIMEOUT_MS) || 120000;
+
+// Server directories that may be imported from; none means disabled
+const IMPORT_ROOTS = (process.env.IMPORT_ROOTS || '')
+  .split(',')
+  .map(root => root.trim())
+  .filter(Boolean)
+  .map(root => path.resolve(root));
+
+// Finished jobs are kept this long for polling
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+// Files and embeddings are written in batches so progress moves steadily
+const BATCH_SIZE = 50;
+
+// Branch/tag names accepted for bundle checkouts
+const REF_PATTERN = /^[\w][\w./-]*$/;
+
+// Import jobs by id, shared by every instance in the process
+const jobs = new Map();
+
+/**
+ * Imports from a git bundle or a server-side directory, run as background
+ * jobs whose progress can be polled
+ */
+class RepoImportService {
+  constructor() {
+    this.archives = new ArchiveService();
+    this.fileSystem = new FileSystemService();
+    this.vectorDB = new VectorDBService();
+    this.quotas = new QuotaService();
+  }
+
+  /**
+   * Resolve a requested directory, following symlinks, and make sure it
+   * lies inside one of IMPORT_ROOTS
+   */
+  async resolveDirectory(requestedPath) {
+    if (IMPORT_ROOTS.length === 0) {
+      throw new AppError('Directory imports are disabled on this server', 403);
+    }
+
+    let resolved;
+    try {
+      resolved = await fs.promises.realpath(path.resolve(String(requestedPath)));
+    } catch (error) {
+      throw new AppError('Directory not found', 404);
+    }
+
+    const roots = await Promise.all(
+      IMPORT_ROOTS.map(root => fs.promises.realpath(root).catch(() => null))
+    );
+
+    const allowed = roots.some(root =>
+      root && (resolved === root || resolved.startsWith(root + path.sep))
+    );
+
+    if (!allowed) {
+      throw new AppError('Directory is outside the allowed import roots', 403);
+    }
+
+    const stat = await fs.promises.stat(resolved);
+
+    if (!stat.isDirectory()) {
+      throw new AppError('Path is not a directory', 400);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Check a ref given for a bundle checkout. Throws 400 if unsafe.
+   */
+  validateRef(ref) {
+    if (ref && (!REF_PATTERN.test(ref) || ref.includes('..'))) {
+      throw new AppError('Invalid ref', 400);
+    }
+  }
+
+  /**
+   * Clone a git bundle into a temporary directory; the caller removes it
+   */
+  async cloneBundle(bundlePath, ref = null) {
+    this.validateRef(ref);
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'import-'));
+    const args = ['clone', '--quiet', '--no-hardlinks'];
+
+    if (ref) {
+      args.push('--branch', ref);
+    }
+
+    args.push('--', bundlePath, dir);
+
+    try {
+      await execFileAsync('git', args, { timeout: GIT_TIMEOUT_MS });
+    } catch (error) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      logger.warn('git clone of bundle failed', { error: (error.stderr || error.message).trim() });
+      throw new AppError(
+        ref ? `Could not check out "${ref}" from the bundle` : 'Upload is not a valid git bundle',
+        400
+      );
+    }
+
+    return dir;
+  }
+
+  /**
+   * Read the working tree under root, honouring .gitignore files at any
+   * level. Binaries, oversized files and symlinks are skipped and reported.
+   */
+  async readWorkingTree(root, onProgress = () => {}) {
+    const files = [];
+    const skipped = [];
+    let totalBytes = 0;
+
+    const walk = async (dir, matchers) => {
+      const relDir = path.relative(root, dir).split(path.sep).join('/');
+      const scoped = [...matchers];
+
+      const gitignore = await fs.promises.readFile(path.join(dir, '.gitignore'), 'utf8').catch(() => null);
+
+      if (gitignore !== null) {
+        scoped.push({ base: relDir, ig: ignore().add(gitignore) });
+      }
+
+      const isIgnored = (relPath, isDir) => scoped.some(({ base, ig }) => {
+        const local = base ? relPath.slice(base.length + 1) : relPath;
+        return ig.ignores(isDir ? `${local}/` : local);
+      });
+
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+        if (entry.name === '.git' || isIgnored(relPath, entry.isDirectory())) {
+          continue;
+        }
+
+        if (entry.isSymbolicLink()) {
+          skipped.push({ path: relPath, reason: 'symbolic link' });
+          continue;
+        }
+
+        if (entry.isDirectory()) {
+          await walk(path.join(dir, entry.name), scoped);
+          continue;
+        }
+
+        if (!entry.isFile()) {
+          continue;
+        }
+
+        // File names may hold characters project paths can't
+        let filePath;
+        try {
+          filePath = normalizeFilePath(relPath);
+        } catch (error) {
+          skipped.push({ path: relPath, reason: error.message });
+          continue;
+        }
+
+        const fullPath = path.join(dir, entry.name);
+        const { size } = await fs.promises.stat(fullPath);
+
+        if (size > MAX_FILE_BYTES) {
+          skipped.push({ path: relPath, reason: `larger than ${MAX_FILE_BYTES} bytes` });
+          continue;
+        }
+
+        const data = await fs.promises.readFile(fullPath);
+
+        if (isBinary(data)) {
+          skipped.push({ path: relPath, reason: 'binary file' });
+          continue;
+        }
+
+        if (files.length >= MAX_IMPORT_FILES) {
+          throw new AppError(`Repository has too many files (max ${MAX_IMPORT_FILES})`, 413);
+        }
+
+        totalBytes += size;
+
+        if (totalBytes > MAX_IMPORT_BYTES) {
+          throw new AppError(`Repository is too large (max ${MAX_IMPORT_BYTES} bytes)`, 413);
+        }
+
+        files.push({
+          path: filePath,
+          content: data.toString('utf8'),
+          language: detectLanguage(filePath)
+        });
+
+        onProgress(files.length);
+      }
+    };
+
+    await walk(root, []);
+
+    return { files, skipped };
+  }
+
+  /**
+   * Save files into the project and re-embed every project file
+   */
+  async importTree(job, projectId, { files, skipped }, conflict, userId) {
+    const plan = await this.archives.planImport(projectId, files, conflict);
+
+    await this.quotas.checkFiles(projectId, plan.toSave);
+
+    job.skipped.push(...skipped, ...plan.skipped);
+    job.renamed = plan.renamed;
+
+    job.phase = 'saving';
+    job.processed = 0;
+    job.total = plan.toSave.length;
+
+    for (let i = 0; i < plan.toSave.length; i += BATCH_SIZE) {
+      const batch = plan.toSave.slice(i, i + BATCH_SIZE);
+      await this.fileSystem.saveFiles(projectId, batch, { userId });
+      job.processed += batch.length;
+    }
+
+    job.imported = plan.toSave.map(f => f.path);
+
+    // Full embedding pass so retrieval sees the whole project
+    const allFiles = await this.fileSystem.getProjectFilesWithContent(projectId);
+
+    job.phase = 'embedding';
+    job.processed = 0;
+    job.total = allFiles.length;
+
+    for (let i = 0; i < allFiles.length; i += BATCH_SIZE) {
+      const batch = allFiles.slice(i, i + BATCH_SIZE);
+      await this.vectorDB.upsertFiles(projectId, batch);
+      job.processed += batch.length;
+    }
+  }
+
+  /**
+   * Start a background import. prepare() resolves to the directory to
+   * read and a cleanup callback; project(files) resolves to the target
+   * project.
+   */
+  startJob(userId, { source, conflict, prepare, project }) {
+    this.expireJobs();
+
+    const job = {
+      id: crypto.randomUUID(),
+      userId,
+      source,
+      status: 'running',
+      phase: 'reading',
+      processed: 0,
+      total: null,
+      projectId: null,
+      imported: [],
+      skipped: [],
+      renamed: [],
+      error: null,
+      createdAt: new Date(),
+      finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+
+    const run = async () => {
+      let cleanup = async () => {};
+
+      try {
+        const prepared = await prepare();
+        cleanup = prepared.cleanup || cleanup;
+
+        const tree = await this.readWorkingTree(prepared.dir, (count) => {
+          job.processed = count;
+        });
+
+        const target = await project(tree.files);
+        job.projectId = target.id;
+
+        await this.importTree(job, target.id, tree, conflict, userId);
+
+        job.status = 'completed';
+        logger.info(`Import job ${job.id}: ${job.imported.length} files into project ${target.id}`);
+
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.status ? error.message : 'Import failed';
+        logger.error(`Import job ${job.id} failed:`, error);
+
+      } finally {
+        job.phase = null;
+        job.finishedAt = new Date();
+        await cleanup().catch(error => logger.warn('Import cleanup failed:', error.message));
+      }
+    };
+
+    run();
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * A user's job, or null
+   */
+  getJob(jobId, userId) {
+    const job = jobs.get(jobId);
+
+    if (!job || job.userId !== userId) {
+      return null;
+    }
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * Forget finished jobs older than JOB_TTL_MS
+   */
+  expireJobs() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  toJSON({ userId, ...job }) {
+    return { ...job, skipped: [...job.skipped], imported: [...job.imported] };
+  }
+}
+
+module.exports = { RepoImportService };
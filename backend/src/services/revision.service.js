@@ -0,0 +1,118 @@
+const { Pool } = require('pg');
+const { createTwoFilesPatch, diffLines } = require('diff');
+const { AppError } = require('../middleware/errorHandler');
+const { encodeCursor } = require('../utils/pagination');
+
+// Revision fields returned in listings (content is fetched one at a time)
+const REVISION_COLUMNS = `
+  r.id, r.path, r.size, r.author_type, r.message_id, r.created_at,
+  r.user_id, u.username`;
+
+/**
+ * File revision history. Revisions are written by FileSystemService.saveFile
+ * and follow renames in FileSystemService.moveFile; this service reads and
+ * compares them.
+ */
+class RevisionService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Newest-first revisions of a path, without content.
+   * before: { value, id } from a decoded cursor
+   */
+  async getHistory(projectId, path, { limit = 50, before = null } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      const values = [projectId, path];
+      let cursorCondition = '';
+
+      if (before) {
+        values.push(before.value, before.id);
+        cursorCondition = 'AND (r.created_at, r.id) < ($3::timestamp, $4::uuid)';
+      }
+
+      values.push(limit + 1);
+
+      const result = await client.query(
+        `SELECT ${REVISION_COLUMNS}, r.created_at::text AS sort_key
+         FROM file_revisions r
+         LEFT JOIN users u ON u.id = r.user_id
+         WHERE r.project_id = $1 AND r.path = $2
+           ${cursorCondition}
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+
+      const hasMore = result.rows.length > limit;
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+
+      return {
+        revisions: rows.map(({ sort_key, ...row }) => this.toJSON(row)),
+        nextCursor: hasMore ? encodeCursor(last.sort_key, last.id) : null
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * One revision with its content. Throws 404 if it isn't in the project.
+   */
+  async getRevision(projectId, revisionId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT ${REVISION_COLUMNS}, r.content
+         FROM file_revisions r
+         LEFT JOIN users u ON u.id = r.user_id
+         WHERE r.project_id = $1 AND r.id = $2`,
+        [projectId, revisionId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Revision not found', 404);
+      }
+
+      const { content, ...row } = result.rows[0];
+
+      return { ...this.toJSON(row), content: content || '' };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Unified diff from one version to another. Each side is
+   * { label, content }; stats count added and removed lines.
+   */
+  diff(from, to) {
+    const patch = createTwoFilesPatch(from.label, to.label, from.content, to.content);
+    const stats = { additions: 0, deletions: 0 };
+
+    for (const part of diffLines(from.content, to.content)) {
+      if (part.added) stats.additions += part.count;
+      if (part.removed) stats.deletions += part.count;
+    }
+
+    return { patch, stats };
+  }
+
+  toJSON({ user_id, username, ...revision }) {
+    return {
+      ...revision,
+      author: user_id ? { id: user_id, username } : null
+    };
+  }
+}
+
+module.exports = { RevisionService };
@@ -0,0 +1,215 @@
+const { Pool } = require('pg');
+const { signToken, ACCESS_TOKEN_TTL } = require('../utils/jwt');
+const { randomToken, sha256, safeEqual } = require('../utils/crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+class SessionService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Open a new session for a user and issue its first token pair
+   */
+  async createSession(user, meta = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      const secret = randomToken();
+
+      const result = await client.query(
+        `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+         RETURNING *`,
+        [user.id, sha256(secret), meta.userAgent || null, meta.ip || null, REFRESH_TOKEN_TTL_DAYS]
+      );
+
+      const session = result.rows[0];
+
+      // Housekeeping: drop this user's long-dead sessions
+      await client.query(
+        `DELETE FROM user_sessions
+         WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days'`,
+        [user.id]
+      );
+
+      logger.info(`Session created for user ${user.id}: ${session.id}`);
+
+      return this.buildTokens(user, session, secret);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rotate a refresh token: the presented secret is replaced by a new one.
+   * Presenting an already-rotated secret revokes the whole session,
+   * since it means the token was copied.
+   */
+  async refresh(refreshToken, meta = {}) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+
+    if (!sessionId || !secret) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT s.*, u.email, u.is_active,
+           s.expires_at <= CURRENT_TIMESTAMP AS expired
+         FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.id::text = $1`,
+        [sessionId]
+      );
+
+      const session = result.rows[0];
+
+      if (!session || session.revoked_at || session.expired || !session.is_active) {
+        throw new AppError('Invalid or expired refresh token', 401);
+      }
+
+      if (!safeEqual(sha256(secret), session.refresh_token_hash)) {
+        await this.revokeReusedSession(client, session.id);
+      }
+
+      const newSecret = randomToken();
+
+      // Only swap the hash if it is still the one presented, so of two
+      // concurrent refreshes with the same token exactly one wins and the
+      // other counts as reuse
+      const rotated = await client.query(
+        `UPDATE user_sessions
+         SET refresh_token_hash = $1,
+             last_used_at = CURRENT_TIMESTAMP,
+             expires_at = CURRENT_TIMESTAMP + make_interval(days => $2),
+             ip_address = COALESCE($3, ip_address),
+             user_agent = COALESCE($4, user_agent)
+         WHERE id = $5 AND refresh_token_hash = $6 AND revoked_at IS NULL
+         RETURNING id`,
+        [sha256(newSecret), REFRESH_TOKEN_TTL_DAYS, meta.ip || null, meta.userAgent || null, session.id, session.refresh_token_hash]
+      );
+
+      if (rotated.rows.length === 0) {
+        await this.revokeReusedSession(client, session.id);
+      }
+
+      return this.buildTokens({ id: session.user_id, email: session.email }, session, newSecret);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke a session whose refresh token was presented after rotation;
+   * always throws
+   */
+  async revokeReusedSession(client, sessionId) {
+    await client.query(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [sessionId]
+    );
+
+    logger.warn(`Refresh token reuse detected, session revoked: ${sessionId}`);
+
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  /**
+   * List a user's active sessions
+   */
+  async listSessions(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM user_sessions
+         WHERE user_id = $1
+           AND revoked_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+      );
+
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke one session. Returns false if it doesn't belong to the user.
+   */
+  async revokeSession(userId, sessionId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE user_sessions
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+         RETURNING id`,
+        [sessionId, userId]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info(`Session revoked: ${sessionId}`);
+      }
+
+      return result.rows.length > 0;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one (the caller's)
+   */
+  async revokeAllSessions(userId, { exceptSessionId = null } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE user_sessions
+         SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1
+           AND revoked_at IS NULL
+           AND ($2::uuid IS NULL OR id <> $2::uuid)`,
+        [userId, exceptSessionId]
+      );
+
+      logger.info(`Revoked ${result.rowCount} sessions for user ${userId}`);
+
+      return result.rowCount;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Build the token pair returned to clients
+   */
+  buildTokens(user, session, secret) {
+    return {
+      sessionId: session.id,
+      token: signToken(user, session.id),
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+}
+
+module.exports = { SessionService };
@@ -0,0 +1,137 @@
+const { Pool } = require('pg');
+const { BUILTIN_TEMPLATES } = require('../templates');
+const { AppError } = require('../middleware/errorHandler');
+const { UUID_REGEX } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+/**
+ * Project templates: built-in scaffolds plus templates users saved
+ * from their own projects
+ */
+class TemplateService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Built-in templates and the user's custom ones (without file contents)
+   */
+  async listTemplates(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT id, name, description, jsonb_array_length(files) AS file_count, created_at
+         FROM project_templates
+         WHERE user_id = $1
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+
+      const builtin = BUILTIN_TEMPLATES.map(t => ({
+        id: t.id,
+        name: t.name,
+        description: t.description,
+        file_count: t.files.length,
+        builtin: true
+      }));
+
+      return [
+        ...builtin,
+        ...result.rows.map(t => ({ ...t, builtin: false }))
+      ];
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Files to seed a project with. Throws 404 for unknown templates.
+   */
+  async getTemplateFiles(templateId, userId) {
+    const builtin = BUILTIN_TEMPLATES.find(t => t.id === templateId);
+
+    if (builtin) {
+      return builtin.files;
+    }
+
+    if (!UUID_REGEX.test(String(templateId))) {
+      throw new AppError('Template not found', 404);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT files FROM project_templates WHERE id = $1 AND user_id = $2',
+        [templateId, userId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Template not found', 404);
+      }
+
+      // Templates saved before assets were left out list them without content
+      return result.rows[0].files.filter(file => typeof file.content === 'string');
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Snapshot a project's current text files as a custom template. Templates
+   * hold content only, so uploaded assets are left out.
+   */
+  async saveProjectAsTemplate(projectId, userId, { name, description = null }) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `INSERT INTO project_templates (user_id, name, description, files)
+         SELECT $2, $3, $4, COALESCE(
+           jsonb_agg(jsonb_build_object('path', path, 'language', language, 'content', content) ORDER BY path),
+           '[]'::jsonb
+         )
+         FROM files WHERE project_id = $1 AND NOT is_binary
+         RETURNING id, name, description, jsonb_array_length(files) AS file_count, created_at`,
+        [projectId, userId, name, description]
+      );
+
+      logger.info(`Saved project ${projectId} as template ${result.rows[0].id}`);
+
+      return { ...result.rows[0], builtin: false };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a custom template. Returns false if it isn't the user's.
+   */
+  async deleteTemplate(userId, templateId) {
+    if (!UUID_REGEX.test(String(templateId))) {
+      return false;
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        'DELETE FROM project_templates WHERE id = $1 AND user_id = $2',
+        [templateId, userId]
+      );
+
+      return result.rowCount > 0;
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { TemplateService };
@@ -0,0 +1,214 @@
+const { Pool } = require('pg');
+const { AccountService } = require('./account.service');
+const { logger } = require('../utils/logger');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+/**
+ * Condition on projects p: the user given as parameter $n owns it, as
+ * creator or as a member with the owner role (who may trash it too)
+ */
+const ownedBy = (n) => `(p.user_id = $${n} OR EXISTS (
+  SELECT 1 FROM project_members pm
+  WHERE pm.project_id = p.id
+    AND pm.user_id = $${n}
+    AND pm.role = 'owner'
+    AND pm.accepted_at IS NOT NULL
+))`;
+
+/**
+ * Soft-deleted projects: trash listing, restore and permanent purge
+ */
+class TrashService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+    this.accounts = new AccountService();
+  }
+
+  /**
+   * Move a project to the trash
+   */
+  async trashProject(projectId, userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE projects
+         SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+         WHERE id = $1 AND deleted_at IS NULL
+         RETURNING id, name, deleted_at,
+           deleted_at + make_interval(days => $3) AS purge_at`,
+        [projectId, userId, RETENTION_DAYS]
+      );
+
+      logger.info(`Moved project to trash: ${projectId}`);
+
+      return result.rows[0];
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Trashed projects a user owns
+   */
+  async listTrash(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT
+           p.id, p.name, p.description, p.deleted_at,
+           p.deleted_at + make_interval(days => $2) AS purge_at,
+           COUNT(f.id) AS file_count
+         FROM projects p
+         LEFT JOIN files f ON f.project_id = p.id
+         WHERE ${ownedBy(1)} AND p.deleted_at IS NOT NULL
+         GROUP BY p.id
+         ORDER BY p.deleted_at DESC`,
+        [userId, RETENTION_DAYS]
+      );
+
+      return result.rows.map(p => ({ ...p, file_count: parseInt(p.file_count) }));
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * A trashed project the user owns, or null
+   */
+  async getTrashedProject(projectId, userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `SELECT p.id, p.user_id, p.name
+         FROM projects p
+         WHERE p.id = $1 AND ${ownedBy(2)} AND p.deleted_at IS NOT NULL`,
+        [projectId, userId]
+      );
+
+      return result.rows[0] || null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Take a project out of the trash. Returns null if the user owns no
+   * such trashed project.
+   */
+  async restoreProject(projectId, userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE projects p
+         SET deleted_at = NULL, deleted_by = NULL
+         WHERE p.id = $1 AND ${ownedBy(2)} AND p.deleted_at IS NOT NULL
+         RETURNING p.*`,
+        [projectId, userId]
+      );
+
+      if (result.rows.length > 0) {
+        logger.info(`Restored project from trash: ${projectId}`);
+      }
+
+      return result.rows[0] || null;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Permanently delete a trashed project the user owns. Returns false if
+   * there is no such project.
+   */
+  async purgeProject(projectId, userId) {
+    const client = await this.pool.connect();
+    let deleted;
+
+    try {
+      // Cascade removes files and chat history
+      const result = await client.query(
+        `DELETE FROM projects p
+         WHERE p.id = $1 AND ${ownedBy(2)} AND p.deleted_at IS NOT NULL
+         RETURNING p.id`,
+        [projectId, userId]
+      );
+
+      deleted = result.rows.length > 0;
+
+    } finally {
+      client.release();
+    }
+
+    if (deleted) {
+      await this.accounts.deleteProjectResources(projectId);
+      logger.info(`Purged project: ${projectId}`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Permanently delete every project past the retention period
+   */
+  async purgeExpired() {
+    const client = await this.pool.connect();
+    let projectIds;
+
+    try {
+      const result = await client.query(
+        `DELETE FROM projects
+         WHERE deleted_at IS NOT NULL
+           AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+         RETURNING id`,
+        [RETENTION_DAYS]
+      );
+
+      projectIds = result.rows.map(row => row.id);
+
+    } finally {
+      client.release();
+    }
+
+    for (const projectId of projectIds) {
+      await this.accounts.deleteProjectResources(projectId);
+    }
+
+    if (projectIds.length > 0) {
+      logger.info(`Purged ${projectIds.length} expired projects from trash`);
+    }
+
+    return projectIds.length;
+  }
+
+  /**
+   * Run purgeExpired now and then periodically. Returns the timer.
+   */
+  startPurgeJob() {
+    const run = () => this.purgeExpired().catch(error => {
+      logger.error('Trash purge failed:', error);
+    });
+
+    run();
+
+    const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+
+    logger.info(`🗑️  Trash purge every ${PURGE_INTERVAL_MINUTES} min, retention ${RETENTION_DAYS} days`);
+
+    return timer;
+  }
+}
+
+module.exports = { TrashService, RETENTION_DAYS };
@@ -0,0 +1,221 @@
+const { Pool } = require('pg');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
+const { generateSecret, verifyCode, buildOtpauthUrl, base32Encode } = require('../utils/totp');
+const { sha256, encrypt, decrypt } = require('../utils/crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const ISSUER = process.env.TOTP_ISSUER || 'AI Artifact Builder';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * TOTP two-factor authentication with one-time recovery codes
+ */
+class TwoFactorService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Start enrollment: store a pending secret and return its provisioning data
+   */
+  async beginSetup(user) {
+    const client = await this.pool.connect();
+
+    try {
+      const secret = generateSecret();
+
+      const result = await client.query(
+        `UPDATE users SET totp_secret = $1, totp_last_counter = NULL
+         WHERE id = $2 AND totp_enabled_at IS NULL
+         RETURNING id`,
+        [encrypt(secret), user.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw new AppError('Two-factor authentication is already enabled', 409);
+      }
+
+      const otpauthUrl = buildOtpauthUrl(secret, user.email, ISSUER);
+
+      return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      };
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Finish enrollment by proving the authenticator works.
+   * Returns the initial recovery codes.
+   */
+  async enable(userId, code) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        'SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1',
+        [userId]
+      );
+
+      const user = result.rows[0];
+
+      if (user.totp_enabled_at) {
+        throw new AppError('Two-factor authentication is already enabled', 409);
+      }
+
+      if (!user.totp_secret) {
+        throw new AppError('Start two-factor setup first', 400);
+      }
+
+      const counter = verifyCode(decrypt(user.totp_secret), code);
+
+      if (counter === null) {
+        throw new AppError('Invalid authentication code', 400);
+      }
+
+      await client.query(
+        `UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, totp_last_counter = $1
+         WHERE id = $2`,
+        [counter, userId]
+      );
+
+      logger.info(`Two-factor authentication enabled for user ${userId}`);
+
+      return this.regenerateRecoveryCodes(userId);
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a second factor: either a TOTP code or an unused recovery code.
+   * Each TOTP step and each recovery code is accepted only once.
+   */
+  async verify(userId, { code, recoveryCode }) {
+    const client = await this.pool.connect();
+
+    try {
+      if (recoveryCode) {
+        const normalized = String(recoveryCode).trim().toLowerCase();
+
+        const result = await client.query(
+          `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+           RETURNING id`,
+          [userId, sha256(normalized)]
+        );
+
+        if (result.rows.length > 0) {
+          logger.info(`Recovery code used by user ${userId}`);
+        }
+
+        return result.rows.length > 0;
+      }
+
+      const result = await client.query(
+        'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      const counter = verifyCode(decrypt(result.rows[0].totp_secret), code);
+
+      if (counter === null) {
+        return false;
+      }
+
+      // Refuse a code from a step that was already used
+      const update = await client.query(
+        `UPDATE users SET totp_last_counter = $1
+         WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1)
+         RETURNING id`,
+        [counter, userId]
+      );
+
+      return update.rows.length > 0;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Replace all recovery codes; returns the new codes in clear (shown once)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = base32Encode(crypto.randomBytes(7)).toLowerCase();
+        return `${raw.substring(0, 5)}-${raw.substring(5, 10)}`;
+      });
+
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+      await client.query(
+        `INSERT INTO recovery_codes (user_id, code_hash)
+         SELECT $1, unnest($2::text[])`,
+        [userId, codes.map(code => sha256(code))]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Recovery codes regenerated for user ${userId}`);
+
+      return codes;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret
+   */
+  async disable(userId) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE users
+         SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_counter = NULL
+         WHERE id = $1`,
+        [userId]
+      );
+
+      await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+
+      await client.query('COMMIT');
+
+      logger.info(`Two-factor authentication disabled for user ${userId}`);
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { TwoFactorService };
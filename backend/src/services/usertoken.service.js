@@ -0,0 +1,92 @@
+const { Pool } = require('pg');
+const { randomToken, sha256 } = require('../utils/crypto');
+const { logger } = require('../utils/logger');
+
+// Lifetime of each kind of single-use token, in minutes
+const TOKEN_TTL_MINUTES = {
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 60 * 24,
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  account_unlock: parseInt(process.env.ACCOUNT_UNLOCK_TTL_MINUTES) || 60
+};
+
+/**
+ * Expiring, single-use tokens sent to users by email
+ */
+class UserTokenService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL
+    });
+  }
+
+  /**
+   * Issue a token for a purpose, invalidating earlier unused ones
+   */
+  async issue(userId, purpose) {
+    const ttl = TOKEN_TTL_MINUTES[purpose];
+
+    if (!ttl) {
+      throw new Error(`Unknown token purpose: ${purpose}`);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      const secret = randomToken();
+
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+        [userId, purpose]
+      );
+
+      await client.query(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))`,
+        [userId, purpose, sha256(secret), ttl]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Issued ${purpose} token for user ${userId}`);
+
+      return { token: secret, expiresInMinutes: ttl };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Consume a token. Returns the user id, or null if the token is
+   * unknown, expired or already used.
+   */
+  async consume(secret, purpose) {
+    const client = await this.pool.connect();
+
+    try {
+      const result = await client.query(
+        `UPDATE user_tokens
+         SET used_at = CURRENT_TIMESTAMP
+         WHERE token_hash = $1
+           AND purpose = $2
+           AND used_at IS NULL
+           AND expires_at > CURRENT_TIMESTAMP
+         RETURNING user_id`,
+        [sha256(String(secret)), purpose]
+      );
+
+      return result.rows.length > 0 ? result.rows[0].user_id : null;
+
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = { UserTokenService };
@@ -1,4 +1,5 @@
 const { ChromaClient } = require('chromadb');
+const { vectorDocumentId } = require('../utils/paths');
 const { logger } = require('../utils/logger');
 
 class VectorDBService {
@@ -53,15 +54,22 @@ class VectorDBService {
   }
 
   /**
-   * Upsert files into vector database
+   * Upsert files into vector database, skipping binary assets
    */
-  async upsertFiles(projectId, files) {
+  async upsertFiles(projectId, allFiles) {
     try {
-      if (!files || files.length === 0) {
+      // Binary assets have nothing to embed
+      const files = (allFiles || []).filter(f => !f.is_binary);
+
+      if (files.length === 0) {
         return;
       }
 
       const collection = await this.getOrCreateCollection(projectId);
+      const paths = files.map(f => f.path);
+
+      // Clears documents stored under an older id scheme for these paths
+      await collection.delete({ where: { path: { $in: paths } } });
 
       const documents = files.map(f => f.content || '');
       const metadatas = files.map(f => ({
@@ -69,7 +77,7 @@ class VectorDBService {
         language: f.language || 'text',
         lastModified: Date.now()
       }));
-      const ids = files.map(f => `${projectId}_${f.path.replace(/\//g, '_')}`);
+      const ids = paths.map(path => vectorDocumentId(projectId, path));
 
       await collection.upsert({
         documents,
@@ -86,16 +94,20 @@ class VectorDBService {
   }
 
   /**
-   * Delete files from vector database
+   * Delete files from vector database, by id and by path metadata so
+   * documents stored under an older id scheme go too
    */
   async deleteFiles(projectId, filePaths) {
     try {
+      if (!filePaths || filePaths.length === 0) {
+        return;
+      }
+
       const collection = await this.getOrCreateCollection(projectId);
-      const ids = filePaths.map(path => 
-        `${projectId}_${path.replace(/\//g, '_')}`
-      );
+      const ids = filePaths.map(path => vectorDocumentId(projectId, path));
 
       await collection.delete({ ids });
+      await collection.delete({ where: { path: { $in: filePaths } } });
 
       logger.info(`Deleted ${filePaths.length} files from vector DB`);
 
@@ -105,6 +117,19 @@ class VectorDBService {
     }
   }
 
+  /**
+   * Re-key moved files: drop the ids of their old paths and upsert them
+   * under the new ones. files: [{ oldPath, path, content, language }]
+   */
+  async moveFiles(projectId, files) {
+    if (!files || files.length === 0) {
+      return;
+    }
+
+    await this.deleteFiles(projectId, files.map(f => f.oldPath));
+    await this.upsertFiles(projectId, files);
+  }
+
   /**
    * Get or create collection for project
    */
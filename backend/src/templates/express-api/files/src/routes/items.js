@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+// In-memory store - replace with a database
+const items = [];
+let nextId = 1;
+
+router.get('/', (req, res) => {
+  res.json({ items });
+});
+
+router.get('/:id', (req, res) => {
+  const item = items.find((i) => i.id === Number(req.params.id));
+
+  if (!item) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+
+  res.json({ item });
+});
+
+router.post('/', (req, res) => {
+  const { name } = req.body;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Missing required field: name' });
+  }
+
+  const item = { id: nextId++, name, createdAt: new Date().toISOString() };
+  items.push(item);
+
+  res.status(201).json({ item });
+});
+
+router.delete('/:id', (req, res) => {
+  const index = items.findIndex((i) => i.id === Number(req.params.id));
+
+  if (index === -1) {
+    return res.status(404).json({ error: 'Item not found' });
+  }
+
+  items.splice(index, 1);
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Built-in project templates. Each subdirectory holds a template.json
+ * manifest ({ name, description, files: [{ path, language }] }) and the
+ * listed files under files/.
+ */
+function loadBuiltinTemplates() {
+  return fs.readdirSync(__dirname, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const dir = path.join(__dirname, entry.name);
+      const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'template.json'), 'utf8'));
+
+      return {
+        id: entry.name,
+        name: manifest.name,
+        description: manifest.description,
+        files: manifest.files.map(file => ({
+          path: file.path,
+          language: file.language,
+          content: fs.readFileSync(path.join(dir, 'files', file.path), 'utf8')
+        }))
+      };
+    });
+}
+
+const BUILTIN_TEMPLATES = loadBuiltinTemplates();
+
+module.exports = { BUILTIN_TEMPLATES };
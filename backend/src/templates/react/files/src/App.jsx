@@ -0,0 +1,18 @@
+import React, { useState } from 'react';
+import './App.css';
+
+function App() {
+  const [count, setCount] = useState(0);
+
+  return (
+    <main className="app">
+      <h1>Hello, React!</h1>
+      <p>Edit <code>src/App.jsx</code> to get started.</p>
+      <button onClick={() => setCount((c) => c + 1)}>
+        Clicked {count} {count === 1 ? 'time' : 'times'}
+      </button>
+    </main>
+  );
+}
+
+export default App;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a URL-safe random secret
+ */
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * SHA-256 hex digest, used to store secrets without keeping them in clear
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Key for secrets that must be readable again (e.g. TOTP seeds)
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key-change-in-production')
+  .digest();
+
+/**
+ * Encrypt a string with AES-256-GCM; output is iv.tag.ciphertext (base64url)
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt the output of encrypt()
+ */
+function decrypt(payload) {
+  const [iv, tag, ciphertext] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  randomToken,
+  sha256,
+  safeEqual,
+  encrypt,
+  decrypt
+};
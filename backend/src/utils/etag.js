@@ -0,0 +1,46 @@
+/**
+ * ETag of a stored file. The version changes on every write and the id
+ * when a path is deleted and created again, so either makes it stale.
+ */
+function fileETag(file) {
+  return `"${file.id}.${file.version}"`;
+}
+
+/**
+ * Parse an If-Match header into '*' or a list of ETags; null if absent.
+ * Weak validators are compared as strong ones.
+ */
+function parseIfMatch(header) {
+  if (!header || !String(header).trim()) {
+    return null;
+  }
+
+  const value = String(header).trim();
+
+  if (value === '*') {
+    return '*';
+  }
+
+  return value
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Whether a file (or null when the path doesn't exist) satisfies a
+ * parsed If-Match
+ */
+function matchesIfMatch(file, ifMatch) {
+  if (!ifMatch) {
+    return true;
+  }
+
+  if (!file) {
+    return false;
+  }
+
+  return ifMatch === '*' || ifMatch.includes(fileETag(file));
+}
+
+module.exports = { fileETag, parseIfMatch, matchesIfMatch };
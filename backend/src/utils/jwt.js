@@ -0,0 +1,86 @@
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const PREVIEW_TOKEN_TTL_SECONDS = parseInt(process.env.PREVIEW_TOKEN_TTL_SECONDS) || 3600;
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+function signToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify a JWT and return its decoded payload
+ * Throws JsonWebTokenError / TokenExpiredError on failure
+ */
+function verifyToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * Sign the short-lived token handed out between the password step and
+ * the second factor. It has no session id, so authenticate() refuses it.
+ */
+function signChallengeToken(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: '2fa' },
+    JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+}
+
+/**
+ * Verify a 2FA challenge token, rejecting any other kind of JWT
+ */
+function verifyChallengeToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.purpose !== '2fa') {
+    throw new jwt.JsonWebTokenError('Not a 2FA challenge token');
+  }
+
+  return decoded;
+}
+
+/**
+ * Sign the token the preview cookie carries. It only grants reading one
+ * project's raw files, so it can live longer than an access token.
+ */
+function signPreviewToken(userId, projectId) {
+  return jwt.sign(
+    { userId, projectId, purpose: 'preview' },
+    JWT_SECRET,
+    { expiresIn: PREVIEW_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Verify a preview token, rejecting any other kind of JWT
+ */
+function verifyPreviewToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (decoded.purpose !== 'preview') {
+    throw new jwt.JsonWebTokenError('Not a preview token');
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  PREVIEW_TOKEN_TTL_SECONDS,
+  signToken,
+  verifyToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  signPreviewToken,
+  verifyPreviewToken
+};
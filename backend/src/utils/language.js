@@ -0,0 +1,69 @@
+const path = require('path');
+
+// File extension -> Monaco language id
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.html': 'html',
+  '.htm': 'html',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.less': 'less',
+  '.json': 'json',
+  '.md': 'markdown',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.java': 'java',
+  '.php': 'php',
+  '.sh': 'shell',
+  '.sql': 'sql',
+  '.xml': 'xml',
+  '.svg': 'xml',
+  '.yml': 'yaml',
+  '.yaml': 'yaml'
+};
+
+// Whole file names that carry no telling extension
+const LANGUAGES_BY_NAME = {
+  Dockerfile: 'dockerfile',
+  Makefile: 'makefile'
+};
+
+// MIME type prefixes accepted for binary assets
+const ASSET_TYPES = (process.env.ASSET_ALLOWED_TYPES || 'image/,font/,audio/,video/,application/pdf')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+/**
+ * Guess a file's language from its path; 'text' when unknown
+ */
+function detectLanguage(filePath) {
+  const name = path.posix.basename(filePath);
+
+  return LANGUAGES_BY_NAME[name] ||
+    LANGUAGES_BY_EXTENSION[path.posix.extname(name).toLowerCase()] ||
+    'text';
+}
+
+/**
+ * Heuristic binary check: text files don't contain NUL bytes
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+/**
+ * Whether a detected MIME type may be stored as a binary asset
+ */
+function isAssetType(mimeType) {
+  return ASSET_TYPES.some(type => mimeType.startsWith(type));
+}
+
+module.exports = { detectLanguage, isBinary, isAssetType };
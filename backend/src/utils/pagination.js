@@ -0,0 +1,28 @@
+/**
+ * Opaque keyset cursors: the sort value and id of the last row on a page.
+ * Sort values are kept as the text Postgres produced so timestamps keep
+ * their microseconds.
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor; null if it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!Array.isArray(decoded) || decoded.length !== 2 || typeof decoded[1] !== 'string') {
+      return null;
+    }
+
+    return { value: decoded[0], id: decoded[1] };
+
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { encodeCursor, decodeCursor };
@@ -0,0 +1,90 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// files.path and directories.path are VARCHAR(500)
+const MAX_PATH_LENGTH = 500;
+const MAX_SEGMENT_LENGTH = 255;
+
+// C0 and C1 control characters, including newlines and NUL
+const CONTROL_CHARS = /[\u0000-\u001f\u007f-\u009f]/;
+
+/**
+ * Normalize a project-relative path: backslashes become slashes, repeated
+ * slashes and "." segments are dropped and the result is NFC. Throws a 400
+ * AppError naming the problem for anything that isn't a plain relative
+ * path. Folder paths may end in a slash; file paths may not.
+ */
+function normalizePath(input, { folder = false, label = 'Path' } = {}) {
+  if (input === undefined || input === null || input === '') {
+    throw new AppError(`${label} is required`, 400);
+  }
+
+  if (typeof input !== 'string') {
+    throw new AppError(`${label} must be a string`, 400);
+  }
+
+  if (CONTROL_CHARS.test(input)) {
+    throw new AppError(`${label} contains control characters`, 400);
+  }
+
+  const slashed = input.trim().normalize('NFC').replace(/\\/g, '/');
+
+  if (slashed.startsWith('/') || /^[a-zA-Z]:(\/|$)/.test(slashed)) {
+    throw new AppError(`${label} must be relative to the project root: ${input}`, 400);
+  }
+
+  if (!folder && slashed.endsWith('/')) {
+    throw new AppError(`${label} must name a file, not a folder: ${input}`, 400);
+  }
+
+  const segments = slashed.split('/').filter(segment => segment && segment !== '.');
+
+  if (segments.length === 0) {
+    throw new AppError(`${label} is required`, 400);
+  }
+
+  if (segments.includes('..')) {
+    throw new AppError(`${label} must not contain "..": ${input}`, 400);
+  }
+
+  if (segments.some(segment => segment.length > MAX_SEGMENT_LENGTH)) {
+    throw new AppError(`${label} has a name longer than ${MAX_SEGMENT_LENGTH} characters`, 400);
+  }
+
+  const path = segments.join('/');
+
+  if (path.length > MAX_PATH_LENGTH) {
+    throw new AppError(`${label} is longer than ${MAX_PATH_LENGTH} characters`, 400);
+  }
+
+  return path;
+}
+
+/**
+ * normalizePath for a file
+ */
+function normalizeFilePath(input, label = 'Path') {
+  return normalizePath(input, { label });
+}
+
+/**
+ * normalizePath for a folder
+ */
+function normalizeFolderPath(input, label = 'Folder path') {
+  return normalizePath(input, { folder: true, label });
+}
+
+/**
+ * Chroma document id of a file. Paths are percent-encoded so distinct
+ * paths never share an id (the old "/" to "_" mapping made a/b_c and
+ * a_b/c collide).
+ */
+function vectorDocumentId(projectId, path) {
+  return `${projectId}:${encodeURIComponent(path)}`;
+}
+
+module.exports = {
+  MAX_PATH_LENGTH,
+  normalizeFilePath,
+  normalizeFolderPath,
+  vectorDocumentId
+};
@@ -0,0 +1,122 @@
+// Models a project may pick; the first one is the default
+const AVAILABLE_MODELS = (process.env.AVAILABLE_MODELS || 'claude-sonnet-4-20250514,claude-opus-4-20250514,claude-3-5-haiku-20241022')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+/**
+ * AI settings a project can override, stored in projects.settings.
+ * Anything not stored falls back to `default`.
+ */
+const SETTINGS_SCHEMA = {
+  model: { type: 'enum', values: AVAILABLE_MODELS, default: AVAILABLE_MODELS[0] },
+  temperature: { type: 'number', min: 0, max: 1, default: 0.7 },
+  retrievalTopK: { type: 'integer', min: 1, max: 20, default: 5 },
+  systemPrompt: { type: 'string', maxLength: 4000, default: '' },
+  conventions: { type: 'string', maxLength: 4000, default: '' },
+  framework: { type: 'string', maxLength: 100, default: '' },
+  maxOutputTokens: { type: 'integer', min: 256, max: 64000, default: 8192 }
+};
+
+const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, rule]) => [key, rule.default])
+);
+
+/**
+ * Check one value against its rule; returns an error message or null
+ */
+function checkValue(key, value, rule) {
+  switch (rule.type) {
+    case 'enum':
+      return rule.values.includes(value)
+        ? null
+        : `${key} must be one of: ${rule.values.join(', ')}`;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${key} must be a number`;
+      }
+      if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return `${key} must be an integer`;
+      }
+      if (value < rule.min || value > rule.max) {
+        return `${key} must be between ${rule.min} and ${rule.max}`;
+      }
+      return null;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        return `${key} must be a string`;
+      }
+      if (value.length > rule.maxLength) {
+        return `${key} must be at most ${rule.maxLength} characters`;
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate settings sent by a client. Unknown keys are rejected; null
+ * drops a key so it falls back to its default. Returns the settings to
+ * store and a list of errors.
+ */
+function validateSettings(input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { settings: {}, errors: ['settings must be an object'] };
+  }
+
+  const settings = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(input)) {
+    const rule = SETTINGS_SCHEMA[key];
+
+    if (!rule) {
+      errors.push(`Unknown setting: ${key}`);
+      continue;
+    }
+
+    if (value === null) {
+      continue;
+    }
+
+    const error = checkValue(key, typeof value === 'string' ? value.trim() : value, rule);
+
+    if (error) {
+      errors.push(error);
+    } else {
+      settings[key] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Stored settings merged over the defaults. Values that no longer pass
+ * validation (e.g. a model that was removed) fall back to the default.
+ */
+function resolveSettings(stored = {}) {
+  const resolved = { ...DEFAULT_SETTINGS };
+
+  for (const [key, rule] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = stored?.[key];
+
+    if (value !== undefined && value !== null && !checkValue(key, value, rule)) {
+      resolved[key] = value;
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  DEFAULT_SETTINGS,
+  validateSettings,
+  resolveSettings
+};
@@ -5,8 +5,22 @@ import { ChatInterface } from './components/Chat/ChatInterface';
 import { MonacoEditor } from './components/CodeEditor/MonacoEditor';
 import { FileTree } from './components/FileExplorer/FileTree';
 import { IframePreview } from './components/Preview/IframePreview';
+import { TrashView } from './components/Trash/TrashView';
+import { ProjectSettings } from './components/Settings/ProjectSettings';
+import { ProjectDashboard } from './components/Dashboard/ProjectDashboard';
+import { ProjectOverview } from './components/Overview/ProjectOverview';
+import { SignInCallback } from './components/Auth/SignInCallback';
+import { AccountLink } from './components/Auth/AccountLink';
+import { apiService } from './services/api';
 import { 
   FolderPlus, 
+  Copy,
+  LayoutTemplate,
+  Trash2,
+  Archive,
+  ArchiveRestore,
+  LayoutGrid,
+  Activity,
   Settings, 
   LogOut,
   PanelLeftClose,
@@ -14,11 +28,35 @@ import {
 } from 'lucide-react';
 import './App.css';
 
-function App() {
+// signIn: what consumeOidcCallback returned. A provider error or a pending
+// two-factor step is settled before the workspace loads anything, as is
+// an emailed account link (accountLink, from consumeAccountLink).
+function App({ signIn = null, accountLink = null }) {
+  const [pendingSignIn, setPendingSignIn] = useState(
+    signIn?.error || signIn?.twoFactorRequired ? signIn : null
+  );
+  const [pendingLink, setPendingLink] = useState(accountLink);
+
+  if (pendingSignIn) {
+    return <SignInCallback result={pendingSignIn} onDone={() => setPendingSignIn(null)} />;
+  }
+
+  if (pendingLink) {
+    return <AccountLink link={pendingLink} onDone={() => setPendingLink(null)} />;
+  }
+
+  return <Workspace />;
+}
+
+function Workspace() {
   const {
-    projects,
     currentProject,
     createProject,
+    duplicateProject,
+    updateProject,
+    setArchived,
+    deleteProject,
+    loadProjects,
     selectProject
   } = useProjects();
 
@@ -26,10 +64,19 @@ function App() {
     files,
     fileTree,
     currentFile,
+    loadFiles,
     openFile,
     saveFile,
+    conflict,
+    resolveConflict,
+    dismissConflict,
     createFile,
     deleteFile,
+    renameFile,
+    createDirectory,
+    moveDirectory,
+    deleteDirectory,
+    uploadFiles,
     updateFileContent
   } = useFileSystem(currentProject?.id);
 
@@ -37,6 +84,23 @@ function App() {
   const [showPreview, setShowPreview] = useState(true);
   const [showNewProjectDialog, setShowNewProjectDialog] = useState(false);
   const [newProjectName, setNewProjectName] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [showOverview, setShowOverview] = useState(false);
+
+  const isArchived = Boolean(currentProject?.archived_at);
+
+  // Load templates whenever the New Project dialog opens
+  useEffect(() => {
+    if (!showNewProjectDialog) return;
+
+    apiService.projects.templates()
+      .then((response) => setTemplates(response.data.templates))
+      .catch((err) => console.error('Error loading templates:', err));
+  }, [showNewProjectDialog]);
 
   // Load chat history when project changes
   useEffect(() => {
@@ -55,7 +119,12 @@ function App() {
   };
 
   const handleFileSave = async (path, content, language) => {
-    await saveFile(path, content, language);
+    return saveFile(path, content, language);
+  };
+
+  // A restored revision is the file's new content
+  const handleFileRestored = async (path) => {
+    await Promise.all([openFile(path), loadFiles()]);
   };
 
   const handleFileCreate = async (path) => {
@@ -68,9 +137,67 @@ function App() {
 
   const handleCreateProject = async () => {
     if (newProjectName.trim()) {
-      await createProject(newProjectName.trim());
+      await createProject(newProjectName.trim(), '', selectedTemplateId);
       setNewProjectName('');
+      setSelectedTemplateId(null);
       setShowNewProjectDialog(false);
+      setShowDashboard(false);
+    }
+  };
+
+  const handleDuplicateProject = async () => {
+    if (!currentProject) return;
+
+    const includeChat = window.confirm('Copy the chat history too?');
+    await duplicateProject(currentProject.id, { includeChat });
+  };
+
+  const handleDeleteProject = async () => {
+    if (!currentProject) return;
+
+    if (window.confirm(`Move ${currentProject.name} to the trash?`)) {
+      await deleteProject(currentProject.id);
+    }
+  };
+
+  const handleToggleArchived = async () => {
+    if (!currentProject) return;
+
+    if (!isArchived && !window.confirm(`Archive ${currentProject.name}? It will be read-only until unarchived.`)) {
+      return;
+    }
+
+    await setArchived(currentProject.id, !isArchived);
+  };
+
+  const handleOpenProject = async (project) => {
+    try {
+      // Fetching the project also records it as opened
+      const response = await apiService.projects.get(project.id);
+      selectProject({ ...project, ...response.data.project });
+    } catch (err) {
+      console.error('Error opening project:', err);
+      selectProject(project);
+    }
+
+    setShowDashboard(false);
+  };
+
+  const handleProjectRestored = async (project) => {
+    await loadProjects();
+    selectProject(project);
+  };
+
+  const handleSaveAsTemplate = async () => {
+    if (!currentProject) return;
+
+    const name = window.prompt('Template name:', currentProject.name);
+    if (!name?.trim()) return;
+
+    try {
+      await apiService.projects.saveAsTemplate(currentProject.id, name.trim());
+    } catch (err) {
+      console.error('Error saving template:', err);
     }
   };
 
@@ -96,6 +223,14 @@ function App() {
         </div>
 
         <div className="header-right">
+          <button
+            className="icon-button"
+            onClick={() => setShowDashboard(true)}
+            title="All projects"
+          >
+            <LayoutGrid size={20} />
+          </button>
+
           <button
             className="icon-button"
             onClick={() => setShowNewProjectDialog(true)}
@@ -103,8 +238,66 @@ function App() {
           >
             <FolderPlus size={20} />
           </button>
+
+          <button
+            className="icon-button"
+            onClick={handleDuplicateProject}
+            disabled={!currentProject}
+            title="Duplicate project"
+          >
+            <Copy size={20} />
+          </button>
+
+          <button
+            className="icon-button"
+            onClick={handleSaveAsTemplate}
+            disabled={!currentProject}
+            title="Save project as template"
+          >
+            <LayoutTemplate size={20} />
+          </button>
+
+          <button
+            className={`icon-button ${isArchived ? 'active' : ''}`}
+            onClick={handleToggleArchived}
+            disabled={!currentProject || (currentProject.shared && currentProject.role !== 'owner')}
+            title={isArchived ? 'Unarchive project' : 'Archive project'}
+          >
+            <Archive size={20} />
+          </button>
+
+          <button
+            className="icon-button"
+            onClick={handleDeleteProject}
+            disabled={!currentProject || (currentProject.shared && currentProject.role !== 'owner')}
+            title="Move project to trash"
+          >
+            <Trash2 size={20} />
+          </button>
+
+          <button
+            className="icon-button"
+            onClick={() => setShowTrash(true)}
+            title="Trash"
+          >
+            <ArchiveRestore size={20} />
+          </button>
           
-          <button className="icon-button" title="Settings">
+          <button
+            className="icon-button"
+            onClick={() => setShowOverview(true)}
+            disabled={!currentProject}
+            title="Project overview"
+          >
+            <Activity size={20} />
+          </button>
+
+          <button
+            className="icon-button"
+            onClick={() => setShowSettings(true)}
+            disabled={!currentProject}
+            title="Project settings"
+          >
             <Settings size={20} />
           </button>
         </div>
@@ -112,67 +305,110 @@ function App() {
 
       {/* Main Content */}
       <div className="app-content">
-        {/* Sidebar - File Explorer */}
-        {showSidebar && (
-          <div className="sidebar">
-            <div className="projects-selector">
-              <select
-                value={currentProject?.id || ''}
-                onChange={(e) => {
-                  const project = projects.find(p => p.id === e.target.value);
-                  if (project) selectProject(project);
-                }}
-                className="project-select"
-              >
-                <option value="">Select project...</option>
-                {projects.map(p => (
-                  <option key={p.id} value={p.id}>
-                    {p.name}
-                  </option>
-                ))}
-              </select>
-            </div>
+        {showDashboard || !currentProject ? (
+          <ProjectDashboard
+            currentProjectId={currentProject?.id}
+            onOpen={handleOpenProject}
+            onCreate={() => setShowNewProjectDialog(true)}
+            onClose={currentProject ? () => setShowDashboard(false) : null}
+          />
+        ) : (
+          <>
+            {/* Sidebar - File Explorer */}
+            {showSidebar && (
+              <div className="sidebar">
+                <div className="projects-selector">
+                  <button
+                    className="project-select"
+                    onClick={() => setShowDashboard(true)}
+                    title="All projects"
+                  >
+                    <LayoutGrid size={14} />
+                    <span>{currentProject.name}</span>
+                  </button>
+                </div>
 
-            <FileTree
-              tree={fileTree}
-              onFileSelect={handleFileSelect}
-              onFileDelete={handleFileDelete}
-              onFileCreate={handleFileCreate}
-              selectedFile={currentFile}
-            />
-          </div>
-        )}
+                <FileTree
+                  tree={fileTree}
+                  onFileSelect={handleFileSelect}
+                  onFileDelete={handleFileDelete}
+                  onFileCreate={handleFileCreate}
+                  onFileRename={renameFile}
+                  onFolderCreate={createDirectory}
+                  onFolderMove={moveDirectory}
+                  onFolderDelete={deleteDirectory}
+                  onFilesUpload={uploadFiles}
+                  selectedFile={currentFile}
+                  readOnly={isArchived}
+                />
+              </div>
+            )}
 
-        {/* Center - Editor + Preview */}
-        <div className="main-panel">
-          <div className="editor-section">
-            <MonacoEditor
-              file={currentFile}
-              onSave={handleFileSave}
-              onClose={() => {}}
-              onChange={updateFileContent}
-            />
-          </div>
+            {/* Center - Editor + Preview */}
+            <div className="main-panel">
+              <div className="editor-section">
+                <MonacoEditor
+                  file={currentFile}
+                  projectId={currentProject.id}
+                  onSave={handleFileSave}
+                  onClose={() => {}}
+                  onChange={updateFileContent}
+                  onRestored={handleFileRestored}
+                  conflict={conflict}
+                  onResolveConflict={resolveConflict}
+                  onDismissConflict={dismissConflict}
+                  readOnly={isArchived}
+                />
+              </div>
 
-          {showPreview && (
-            <div className="preview-section">
-              <IframePreview
-                files={files}
-                currentFile={currentFile}
-              />
+              {showPreview && (
+                <div className="preview-section">
+                  <IframePreview
+                    projectId={currentProject.id}
+                    files={files}
+                    currentFile={currentFile}
+                  />
+                </div>
+              )}
             </div>
-          )}
-        </div>
 
-        {/* Right - Chat */}
-        <div className="chat-panel">
-          <ChatInterface
-            projectId={currentProject?.id}
-            onFilesGenerated={handleFilesGenerated}
-          />
-        </div>
+            {/* Right - Chat */}
+            <div className="chat-panel">
+              <ChatInterface
+                projectId={currentProject?.id}
+                onFilesGenerated={handleFilesGenerated}
+                readOnly={isArchived}
+              />
+            </div>
+          </>
+        )}
       </div>
 
+      {/* Project settings */}
+      {showSettings && currentProject && (
+        <ProjectSettings
+          project={currentProject}
+          onSave={(settings) => updateProject(currentProject.id, { settings })}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {/* Project overview */}
+      {showOverview && currentProject && (
+        <ProjectOverview
+          project={currentProject}
+          onClose={() => setShowOverview(false)}
+        />
+      )}
+
+      {/* Trash */}
+      {showTrash && (
+        <TrashView
+          onClose={() => setShowTrash(false)}
+          onRestored={handleProjectRestored}
+        />
+      )}
+
       {/* New Project Dialog */}
       {showNewProjectDialog && (
         <div className="modal-overlay" onClick={() => setShowNewProjectDialog(false)}>
@@ -190,6 +426,29 @@ function App() {
               autoFocus
               className="modal-input"
             />
+            <div className="template-list">
+              <button
+                className={`template-option ${selectedTemplateId === null ? 'selected' : ''}`}
+                onClick={() => setSelectedTemplateId(null)}
+              >
+                <span className="template-name">Empty project</span>
+                <span className="template-description">Start from scratch</span>
+              </button>
+              {templates.map(t => (
+                <button
+                  key={t.id}
+                  className={`template-option ${selectedTemplateId === t.id ? 'selected' : ''}`}
+                  onClick={() => setSelectedTemplateId(t.id)}
+                >
+                  <span className="template-name">
+                    {t.name}{!t.builtin && ' (custom)'}
+                  </span>
+                  <span className="template-description">
+                    {t.description || `${t.file_count} files`}
+                  </span>
+                </button>
+              ))}
+            </div>
             <div className="modal-actions">
               <button onClick={() => setShowNewProjectDialog(false)}>
                 Cancel
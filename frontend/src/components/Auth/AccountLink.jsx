@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { apiService, clearAuthTokens } from '../../services/api';
+import './AccountLink.css';
+
+const TITLES = {
+  'verify-email': 'Confirm email address',
+  'reset-password': 'Choose a new password',
+  'unlock-account': 'Unlock account'
+};
+
+// Landing page for the links in account emails (see consumeAccountLink).
+// Verification and unlock links are used as soon as they open; a reset
+// link asks for the new password first.
+export const AccountLink = ({ link, onDone }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(link.action !== 'reset-password');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(link.token ? null : 'This link is missing its token');
+  const started = useRef(false);
+
+  // Tokens are single-use, so the request must go out only once
+  useEffect(() => {
+    if (link.action === 'reset-password' || !link.token || started.current) return;
+    started.current = true;
+
+    const request = link.action === 'verify-email'
+      ? apiService.auth.verifyEmail(link.token)
+      : apiService.auth.unlockAccount(link.token);
+
+    request
+      .then((response) => setMessage(response.data.message))
+      .catch((err) => {
+        console.error(`Error opening ${link.action} link:`, err);
+        setError(err.message || 'This link is invalid or has expired');
+      })
+      .finally(() => setIsSubmitting(false));
+  }, [link]);
+
+  const handleReset = async () => {
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await apiService.auth.resetPassword(link.token, password);
+      // Every session was signed out, this one included
+      clearAuthTokens();
+      setMessage(response.data.message);
+    } catch (err) {
+      console.error('Error resetting password:', err);
+      setError(err.message || 'Failed to reset password');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const showForm = link.action === 'reset-password' && link.token && !message;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal account-link">
+        <h2>{TITLES[link.action]}</h2>
+
+        {error && <div className="account-link-error">{error}</div>}
+        {message && <p className="account-link-message">{message}</p>}
+        {isSubmitting && !showForm && <p className="account-link-message">Please wait...</p>}
+
+        {showForm && (
+          <>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="New password"
+              autoComplete="new-password"
+              autoFocus
+              className="modal-input"
+            />
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleReset();
+              }}
+              placeholder="Repeat new password"
+              autoComplete="new-password"
+              className="modal-input"
+            />
+          </>
+        )}
+
+        <div className="modal-actions">
+          {showForm ? (
+            <button
+              onClick={handleReset}
+              className="primary"
+              disabled={isSubmitting || !password || !confirmPassword}
+            >
+              {isSubmitting ? 'Saving...' : 'Set password'}
+            </button>
+          ) : (
+            <button onClick={onDone} className="primary" disabled={isSubmitting}>
+              Continue
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { apiService } from '../../services/api';
+import './SignInCallback.css';
+
+// Last step of a single sign-on that couldn't finish on the redirect
+// alone: the provider's error, or the two-factor code for accounts that
+// have it enabled (see consumeOidcCallback)
+export const SignInCallback = ({ result, onDone }) => {
+  const [value, setValue] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(result.error);
+
+  const handleSubmit = async () => {
+    if (!value.trim()) return;
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await apiService.auth.login2fa(
+        result.challengeToken,
+        useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.trim() }
+      );
+      onDone();
+    } catch (err) {
+      console.error('Error completing sign-in:', err);
+      setError(err.message || 'Failed to verify the code');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!result.twoFactorRequired) {
+    return (
+      <div className="modal-overlay">
+        <div className="modal sign-in-callback">
+          <h2>Sign-in failed</h2>
+          <div className="sign-in-error">{error}</div>
+          <div className="modal-actions">
+            <button onClick={onDone} className="primary">
+              Continue
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal sign-in-callback">
+        <h2>Two-factor authentication</h2>
+        <p className="sign-in-hint">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the code from your authenticator app.'}
+        </p>
+
+        {error && <div className="sign-in-error">{error}</div>}
+
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSubmit();
+          }}
+          placeholder={useRecoveryCode ? 'Recovery code' : '123456'}
+          autoComplete="one-time-code"
+          autoFocus
+          className="modal-input"
+        />
+
+        <div className="modal-actions">
+          <button
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setValue('');
+            }}
+            disabled={isSubmitting}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+          <button
+            onClick={handleSubmit}
+            className="primary"
+            disabled={isSubmitting || !value.trim()}
+          >
+            {isSubmitting ? 'Verifying...' : 'Verify'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -3,7 +3,7 @@ import { useAnythingLLM } from '../../hooks/useAnythingLLM';
 import { Send, Loader2, AlertCircle } from 'lucide-react';
 import './ChatInterface.css';
 
-export const ChatInterface = ({ projectId, onFilesGenerated }) => {
+export const ChatInterface = ({ projectId, onFilesGenerated, readOnly = false }) => {
   const { messages, sendMessage, isLoading, error } = useAnythingLLM(projectId);
   const [inputValue, setInputValue] = useState('');
   const messagesEndRef = useRef(null);
@@ -124,6 +124,20 @@ export const ChatInterface = ({ projectId, onFilesGenerated }) => {
                   </ul>
                 </div>
               )}
+
+              {message.skippedFiles && message.skippedFiles.length > 0 && (
+                <div className="generated-files skipped-files">
+                  <p className="files-title">Not saved:</p>
+                  <ul>
+                    {message.skippedFiles.map((file, i) => (
+                      <li key={i}>
+                        <code>{file.path}</code>
+                        <span className="file-language">{file.reason}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -157,13 +171,15 @@ export const ChatInterface = ({ projectId, onFilesGenerated }) => {
           value={inputValue}
           onChange={handleInputChange}
           onKeyDown={handleKeyDown}
-          placeholder="Ask me anything about your project..."
-          disabled={isLoading || !projectId}
+          placeholder={readOnly
+            ? 'This project is archived. Unarchive it to chat.'
+            : 'Ask me anything about your project...'}
+          disabled={isLoading || !projectId || readOnly}
           rows={1}
         />
         <button
           onClick={handleSend}
-          disabled={!inputValue.trim() || isLoading || !projectId}
+          disabled={!inputValue.trim() || isLoading || !projectId || readOnly}
           className="send-button"
         >
           {isLoading ? (
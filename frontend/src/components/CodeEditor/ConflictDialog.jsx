@@ -0,0 +1,95 @@
+import React, { useRef, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { X, Sparkles, User } from 'lucide-react';
+import './ConflictDialog.css';
+
+// Shown when a save found a newer version on the server. The stored
+// version is on the left; the right side holds the edit and can be
+// changed to merge both before saving.
+export const ConflictDialog = ({ conflict, onResolve, onCancel }) => {
+  const diffEditorRef = useRef(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { path, content, language, current } = conflict;
+
+  const handleResolve = async (choice) => {
+    setIsSaving(true);
+    try {
+      const merged = diffEditorRef.current?.getModifiedEditor().getValue() ?? content;
+      await onResolve(choice, merged);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const changedBy = current?.author_type === 'ai' ? (
+    <><Sparkles size={14} /> the AI</>
+  ) : (
+    <><User size={14} /> someone else</>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal conflict-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="conflict-header">
+          <h2>{path} changed while you were editing</h2>
+          <button className="icon-button" onClick={onCancel} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="conflict-summary">
+          {current ? (
+            <>
+              Changed by {changedBy} at {new Date(current.updated_at).toLocaleString()}.
+              Edit the right side to combine both versions, then save it.
+            </>
+          ) : (
+            'The file was deleted. Save your version to create it again.'
+          )}
+        </p>
+
+        <div className="conflict-labels">
+          <span>{current ? 'Saved version' : 'Deleted'}</span>
+          <span>Your version</span>
+        </div>
+
+        <div className="conflict-diff">
+          <DiffEditor
+            height="100%"
+            language={language || 'plaintext'}
+            original={current?.content || ''}
+            modified={content}
+            theme="vs-dark"
+            onMount={(editor) => {
+              diffEditorRef.current = editor;
+            }}
+            options={{
+              originalEditable: false,
+              readOnly: false,
+              automaticLayout: true,
+              renderSideBySide: true
+            }}
+          />
+        </div>
+
+        <div className="modal-actions">
+          <button onClick={onCancel} disabled={isSaving}>
+            Keep editing
+          </button>
+          {current && (
+            <button onClick={() => handleResolve('theirs')} disabled={isSaving}>
+              Discard mine
+            </button>
+          )}
+          <button
+            onClick={() => handleResolve('mine')}
+            className="primary"
+            disabled={isSaving}
+          >
+            {isSaving ? 'Saving...' : current ? 'Save merged version' : 'Save my version'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, RotateCcw, Sparkles, User } from 'lucide-react';
+import { apiService } from '../../services/api';
+import './HistoryPanel.css';
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+// Revisions of the open file; picking one shows it diffed against the editor
+export const HistoryPanel = ({
+  projectId,
+  path,
+  selectedId,
+  readOnly = false,
+  onSelect,
+  onRestored,
+  onClose
+}) => {
+  const [revisions, setRevisions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadHistory = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.files.history(projectId, path, cursor);
+      setRevisions((prev) => (cursor ? [...prev, ...response.data.revisions] : response.data.revisions));
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Error loading history:', err);
+      setError('Failed to load history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectId, path]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleSelect = async (revision) => {
+    if (revision.id === selectedId) {
+      onSelect(null);
+      return;
+    }
+
+    try {
+      const response = await apiService.files.revision(projectId, revision.id);
+      onSelect(response.data.revision);
+    } catch (err) {
+      console.error('Error loading revision:', err);
+      setError('Failed to load revision');
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm('Replace the current file with this version? Unsaved changes are lost.')) {
+      return;
+    }
+
+    setIsRestoring(true);
+    setError(null);
+
+    try {
+      await apiService.files.restoreRevision(projectId, selectedId);
+      onSelect(null);
+      await onRestored?.(path);
+      await loadHistory();
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      setError(err.message || 'Failed to restore revision');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <h3>History</h3>
+        <button className="icon-button" onClick={onClose} title="Close history">
+          <X size={16} />
+        </button>
+      </div>
+
+      {error && <div className="history-error">{error}</div>}
+
+      {selectedId && !readOnly && (
+        <button className="history-restore" onClick={handleRestore} disabled={isRestoring}>
+          <RotateCcw size={14} />
+          {isRestoring ? 'Restoring...' : 'Restore this version'}
+        </button>
+      )}
+
+      <div className="history-list">
+        {revisions.map((revision, index) => (
+          <div
+            key={revision.id}
+            className={`history-item ${revision.id === selectedId ? 'selected' : ''}`}
+            onClick={() => handleSelect(revision)}
+          >
+            <span className="history-icon">
+              {revision.author_type === 'ai' ? <Sparkles size={14} /> : <User size={14} />}
+            </span>
+            <div className="history-body">
+              <span className="history-author">
+                {revision.author_type === 'ai' ? 'AI' : revision.author?.username || 'Unknown'}
+                {index === 0 && <span className="history-latest">latest</span>}
+              </span>
+              <span className="history-time">{formatTime(revision.created_at)}</span>
+            </div>
+          </div>
+        ))}
+
+        {!isLoading && revisions.length === 0 && (
+          <div className="history-empty">No saved versions yet</div>
+        )}
+
+        {nextCursor && (
+          <button
+            className="history-more"
+            onClick={() => loadHistory(nextCursor)}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Loading...' : 'Load older'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
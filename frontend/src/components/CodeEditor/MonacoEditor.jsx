@@ -1,21 +1,68 @@
 import React, { useRef, useState, useEffect } from 'react';
-import Editor from '@monaco-editor/react';
-import { Save, X, FileCode } from 'lucide-react';
+import Editor, { DiffEditor } from '@monaco-editor/react';
+import { Save, X, FileCode, FileImage, History } from 'lucide-react';
+import { HistoryPanel } from './HistoryPanel';
+import { ConflictDialog } from './ConflictDialog';
+import { apiService, rawFilesUrl } from '../../services/api';
 import './MonacoEditor.css';
 
+// Uploaded assets can't be edited; images are shown from the raw endpoint
+const AssetPreview = ({ file, projectId }) => {
+  const isImage = file.mime_type?.startsWith('image/');
+  const [hasSession, setHasSession] = useState(false);
+
+  useEffect(() => {
+    if (!isImage || !projectId) return;
+
+    apiService.files.previewSession(projectId)
+      .then(() => setHasSession(true))
+      .catch((err) => console.error('Error starting preview session:', err));
+  }, [isImage, projectId]);
+
+  return (
+    <div className="asset-preview">
+      {isImage && hasSession ? (
+        <img
+          src={rawFilesUrl(projectId) + file.path.split('/').map(encodeURIComponent).join('/')}
+          alt={file.path}
+        />
+      ) : (
+        <FileImage size={48} />
+      )}
+      <span>{file.mime_type || 'Binary file'}</span>
+    </div>
+  );
+};
+
 export const MonacoEditor = ({ 
   file, 
+  projectId,
   onSave, 
   onClose, 
-  onChange 
+  onChange,
+  onRestored,
+  conflict,
+  onResolveConflict,
+  onDismissConflict,
+  readOnly = false
 }) => {
   const editorRef = useRef(null);
+  // Latest handleSave for the Ctrl+S command registered on mount
+  const saveRef = useRef(null);
   const [hasChanges, setHasChanges] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  // Revision (with content) shown diffed against the editor
+  const [compareRevision, setCompareRevision] = useState(null);
 
+  // A new path or version (opened, saved or reloaded) has no local edits
   useEffect(() => {
     setHasChanges(false);
-  }, [file]);
+  }, [file?.path, file?.etag]);
+
+  useEffect(() => {
+    setCompareRevision(null);
+  }, [file?.path]);
 
   const handleEditorDidMount = (editor, monaco) => {
     editorRef.current = editor;
@@ -27,7 +74,7 @@ export const MonacoEditor = ({
       lineNumbers: 'on',
       roundedSelection: false,
       scrollBeyondLastLine: false,
-      readOnly: false,
+      readOnly,
       automaticLayout: true,
       tabSize: 2,
       wordWrap: 'on'
@@ -35,7 +82,7 @@ export const MonacoEditor = ({
 
     // Keyboard shortcuts
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
-      handleSave();
+      saveRef.current?.();
     });
   };
 
@@ -45,13 +92,16 @@ export const MonacoEditor = ({
   };
 
   const handleSave = async () => {
-    if (!file || !hasChanges) return;
+    if (!file || !hasChanges || readOnly || compareRevision) return;
 
     setIsSaving(true);
     try {
       const content = editorRef.current.getValue();
-      await onSave?.(file.path, content, file.language);
-      setHasChanges(false);
+      // Nothing comes back when the save failed or hit a conflict
+      const saved = await onSave?.(file.path, content, file.language);
+      if (saved) {
+        setHasChanges(false);
+      }
     } catch (error) {
       console.error('Error saving file:', error);
     } finally {
@@ -59,6 +109,8 @@ export const MonacoEditor = ({
     }
   };
 
+  saveRef.current = handleSave;
+
   if (!file) {
     return (
       <div className="monaco-editor-empty">
@@ -77,18 +129,34 @@ export const MonacoEditor = ({
           <FileCode size={16} />
           <span className="file-path">{file.path}</span>
           {hasChanges && <span className="unsaved-indicator">●</span>}
+          {readOnly && <span className="read-only-badge">Read-only</span>}
         </div>
         
         <div className="editor-actions">
-          <button
-            onClick={handleSave}
-            disabled={!hasChanges || isSaving}
-            className="editor-button save"
-            title="Save (Ctrl+S)"
-          >
-            <Save size={16} />
-            {isSaving ? 'Saving...' : 'Save'}
-          </button>
+          {projectId && !file.is_binary && (
+            <button
+              onClick={() => {
+                setShowHistory(!showHistory);
+                setCompareRevision(null);
+              }}
+              className={`editor-button close ${showHistory ? 'active' : ''}`}
+              title="File history"
+            >
+              <History size={16} />
+            </button>
+          )}
+
+          {!readOnly && !file.is_binary && (
+            <button
+              onClick={handleSave}
+              disabled={!hasChanges || isSaving || !!compareRevision}
+              className="editor-button save"
+              title="Save (Ctrl+S)"
+            >
+              <Save size={16} />
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          )}
           
           <button
             onClick={onClose}
@@ -100,34 +168,84 @@ export const MonacoEditor = ({
         </div>
       </div>
 
-      {/* Editor */}
+      {/* Editor, or a revision diffed against it */}
       <div className="editor-wrapper">
-        <Editor
-          height="100%"
-          language={file.language || 'plaintext'}
-          value={file.content || ''}
-          theme="vs-dark"
-          onChange={handleEditorChange}
-          onMount={handleEditorDidMount}
-          options={{
-            selectOnLineNumbers: true,
-            matchBrackets: 'always',
-            formatOnPaste: true,
-            formatOnType: true
-          }}
-        />
+        <div className="editor-pane">
+          {file.is_binary ? (
+            <AssetPreview file={file} projectId={projectId} />
+          ) : compareRevision ? (
+            <DiffEditor
+              height="100%"
+              language={file.language || 'plaintext'}
+              original={compareRevision.content}
+              modified={file.content || ''}
+              theme="vs-dark"
+              options={{
+                readOnly: true,
+                automaticLayout: true,
+                renderSideBySide: true
+              }}
+            />
+          ) : (
+            <Editor
+              height="100%"
+              language={file.language || 'plaintext'}
+              value={file.content || ''}
+              theme="vs-dark"
+              onChange={handleEditorChange}
+              onMount={handleEditorDidMount}
+              options={{
+                readOnly,
+                selectOnLineNumbers: true,
+                matchBrackets: 'always',
+                formatOnPaste: true,
+                formatOnType: true
+              }}
+            />
+          )}
+        </div>
+
+        {showHistory && projectId && !file.is_binary && (
+          <HistoryPanel
+            projectId={projectId}
+            path={file.path}
+            selectedId={compareRevision?.id}
+            readOnly={readOnly}
+            onSelect={setCompareRevision}
+            onRestored={onRestored}
+            onClose={() => {
+              setShowHistory(false);
+              setCompareRevision(null);
+            }}
+          />
+        )}
       </div>
 
       {/* Status bar */}
       <div className="editor-status-bar">
-        <span className="status-item">{file.language || 'plaintext'}</span>
+        <span className="status-item">
+          {file.is_binary ? file.mime_type : file.language || 'plaintext'}
+        </span>
         <span className="status-item">
           {file.size ? `${(file.size / 1024).toFixed(1)} KB` : ''}
         </span>
         {hasChanges && (
           <span className="status-item unsaved">Unsaved changes</span>
         )}
+        {compareRevision && (
+          <span className="status-item">
+            Comparing version from {new Date(compareRevision.created_at).toLocaleString()} with the editor
+          </span>
+        )}
       </div>
+
+      {conflict && conflict.path === file.path && (
+        <ConflictDialog
+          conflict={conflict}
+          onResolve={onResolveConflict}
+          onCancel={onDismissConflict}
+        />
+      )}
     </div>
   );
 };
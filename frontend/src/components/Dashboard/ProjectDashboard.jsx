@@ -0,0 +1,380 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, Star, Tag, FolderPlus, Archive, X } from 'lucide-react';
+import { apiService } from '../../services/api';
+import './ProjectDashboard.css';
+
+const PAGE_SIZE = 24;
+
+const SORTS = [
+  { value: 'last_accessed', label: 'Recently opened' },
+  { value: 'updated_at', label: 'Recently updated' },
+  { value: 'size', label: 'Size' }
+];
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Usage against one quota; limit null means unlimited
+const UsageMeter = ({ label, used, limit, format = (n) => n }) => {
+  const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+
+  return (
+    <div className="usage-meter" title={limit ? `${percent}% used` : 'No limit'}>
+      <span className="usage-label">
+        {label}: {format(used)}{limit ? ` / ${format(limit)}` : ''}
+      </span>
+      {limit && (
+        <div className="usage-bar">
+          <div
+            className={`usage-fill ${percent >= 90 ? 'warning' : ''}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ProjectCard = ({ project, isCurrent, onOpen, onToggleStar, onEditTags, onTagClick }) => (
+  <div
+    className={`project-card ${isCurrent ? 'current' : ''}`}
+    onClick={() => onOpen(project)}
+  >
+    <div className="project-card-header">
+      <span className="project-card-name">{project.name}</span>
+      <button
+        className={`icon-button ${project.starred ? 'starred' : ''}`}
+        onClick={(e) => {
+          e.stopPropagation();
+          onToggleStar(project);
+        }}
+        title={project.starred ? 'Unstar' : 'Star'}
+      >
+        <Star size={16} fill={project.starred ? 'currentColor' : 'none'} />
+      </button>
+    </div>
+
+    {project.description && (
+      <p className="project-card-description">{project.description}</p>
+    )}
+
+    <div className="project-card-tags">
+      {project.tags.map((tag) => (
+        <button
+          key={tag}
+          className="project-tag"
+          onClick={(e) => {
+            e.stopPropagation();
+            onTagClick(tag);
+          }}
+        >
+          {tag}
+        </button>
+      ))}
+      {project.role !== 'viewer' && (
+        <button
+          className="project-tag edit"
+          onClick={(e) => {
+            e.stopPropagation();
+            onEditTags(project);
+          }}
+          title="Edit tags"
+        >
+          <Tag size={12} />
+        </button>
+      )}
+    </div>
+
+    <div className="project-card-meta">
+      {project.file_count} files · {formatSize(project.size_bytes)} · opened {formatDate(project.last_accessed)}
+      {project.shared && ` · ${project.owner_username} (${project.role})`}
+      {project.forked_from_name && ` · fork of ${project.forked_from_name}`}
+      {project.archived_at && ` · archived ${formatDate(project.archived_at)}`}
+    </div>
+  </div>
+);
+
+export const ProjectDashboard = ({ currentProjectId, onOpen, onCreate, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('last_accessed');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [allTags, setAllTags] = useState([]);
+  const [starred, setStarred] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [sharedProjects, setSharedProjects] = useState([]);
+  const [sharedCursor, setSharedCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [usage, setUsage] = useState(null);
+
+  // Debounce typing into the search box
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(query.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const loadTags = useCallback(async () => {
+    try {
+      const response = await apiService.projects.tags();
+      setAllTags(response.data.tags);
+    } catch (err) {
+      console.error('Error loading tags:', err);
+    }
+  }, []);
+
+  // Starred projects are pinned above the user's own projects and those
+  // shared with them, which are paginated separately
+  const loadProjects = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    const filters = {
+      q: search || undefined,
+      tags: selectedTags,
+      archived: showArchived ? 'true' : undefined,
+      sort
+    };
+
+    try {
+      const [pinned, own, shared] = await Promise.all([
+        apiService.projects.list({ ...filters, starred: 'true', limit: 100 }),
+        apiService.projects.list({ ...filters, starred: 'false', shared: 'false', limit: PAGE_SIZE }),
+        apiService.projects.list({ ...filters, starred: 'false', shared: 'true', limit: PAGE_SIZE })
+      ]);
+
+      setStarred(pinned.data.projects);
+      setProjects(own.data.projects);
+      setNextCursor(own.data.nextCursor);
+      setSharedProjects(shared.data.projects);
+      setSharedCursor(shared.data.nextCursor);
+    } catch (err) {
+      console.error('Error loading projects:', err);
+      setError('Failed to load projects');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [search, selectedTags, showArchived, sort]);
+
+  useEffect(() => {
+    loadProjects();
+  }, [loadProjects]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags]);
+
+  useEffect(() => {
+    apiService.account.usage()
+      .then((response) => setUsage(response.data.usage))
+      .catch((err) => console.error('Error loading usage:', err));
+  }, []);
+
+  const loadMore = async (shared) => {
+    setIsLoading(true);
+
+    try {
+      const response = await apiService.projects.list({
+        q: search || undefined,
+        tags: selectedTags,
+        archived: showArchived ? 'true' : undefined,
+        sort,
+        starred: 'false',
+        shared: shared ? 'true' : 'false',
+        limit: PAGE_SIZE,
+        cursor: shared ? sharedCursor : nextCursor
+      });
+
+      if (shared) {
+        setSharedProjects((prev) => [...prev, ...response.data.projects]);
+        setSharedCursor(response.data.nextCursor);
+      } else {
+        setProjects((prev) => [...prev, ...response.data.projects]);
+        setNextCursor(response.data.nextCursor);
+      }
+    } catch (err) {
+      console.error('Error loading projects:', err);
+      setError('Failed to load more projects');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleTag = (tag) => {
+    setSelectedTags((prev) =>
+      prev.includes(tag) ? prev.filter((t) => t !== tag) : [...prev, tag]
+    );
+  };
+
+  const handleToggleStar = async (project) => {
+    try {
+      if (project.starred) {
+        await apiService.projects.unstar(project.id);
+      } else {
+        await apiService.projects.star(project.id);
+      }
+      await loadProjects();
+    } catch (err) {
+      console.error('Error starring project:', err);
+      setError(`Failed to update ${project.name}`);
+    }
+  };
+
+  const handleEditTags = async (project) => {
+    const input = window.prompt('Tags (comma separated):', project.tags.join(', '));
+    if (input === null) return;
+
+    const tags = input.split(',').map((t) => t.trim()).filter(Boolean);
+
+    try {
+      await apiService.projects.update(project.id, { tags });
+      await Promise.all([loadProjects(), loadTags()]);
+    } catch (err) {
+      console.error('Error updating tags:', err);
+      setError(err.message || 'Failed to update tags');
+    }
+  };
+
+  const renderCards = (list) => (
+    <div className="project-grid">
+      {list.map((project) => (
+        <ProjectCard
+          key={project.id}
+          project={project}
+          isCurrent={project.id === currentProjectId}
+          onOpen={onOpen}
+          onToggleStar={handleToggleStar}
+          onEditTags={handleEditTags}
+          onTagClick={toggleTag}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="project-dashboard">
+      <div className="dashboard-toolbar">
+        <div className="dashboard-search">
+          <Search size={16} />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search projects..."
+            autoFocus
+          />
+        </div>
+
+        <select
+          className="project-select dashboard-sort"
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+        >
+          {SORTS.map((s) => (
+            <option key={s.value} value={s.value}>{s.label}</option>
+          ))}
+        </select>
+
+        <button
+          className={`icon-button ${showArchived ? 'active' : ''}`}
+          onClick={() => setShowArchived((prev) => !prev)}
+          title={showArchived ? 'Show active projects' : 'Show archived projects'}
+        >
+          <Archive size={20} />
+        </button>
+
+        <button className="icon-button" onClick={onCreate} title="New project">
+          <FolderPlus size={20} />
+        </button>
+
+        {onClose && (
+          <button className="icon-button" onClick={onClose} title="Back to editor">
+            <X size={20} />
+          </button>
+        )}
+      </div>
+
+      {allTags.length > 0 && (
+        <div className="dashboard-tags">
+          {allTags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`project-tag ${selectedTags.includes(tag) ? 'selected' : ''}`}
+              onClick={() => toggleTag(tag)}
+            >
+              {tag} <span className="project-tag-count">{count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {usage && (
+        <div className="dashboard-usage">
+          <UsageMeter
+            label="Storage"
+            used={usage.storage.used}
+            limit={usage.storage.limit}
+            format={formatSize}
+          />
+          <UsageMeter
+            label="Projects"
+            used={usage.projects.used}
+            limit={usage.projects.limit}
+          />
+        </div>
+      )}
+
+      {error && <div className="dashboard-error">{error}</div>}
+
+      <div className="dashboard-content">
+        {starred.length > 0 && (
+          <section>
+            <h3>Starred</h3>
+            {renderCards(starred)}
+          </section>
+        )}
+
+        <section>
+          {projects.length > 0 && (starred.length > 0 || sharedProjects.length > 0) && (
+            <h3>{showArchived ? 'Archived' : 'My projects'}</h3>
+          )}
+          {projects.length > 0 ? renderCards(projects) : (
+            !isLoading && starred.length === 0 && sharedProjects.length === 0 && (
+              <div className="dashboard-empty">
+                {search || selectedTags.length > 0
+                  ? 'No matching projects'
+                  : showArchived ? 'No archived projects' : 'No projects yet'}
+              </div>
+            )
+          )}
+        </section>
+
+        {nextCursor && (
+          <button className="dashboard-more" onClick={() => loadMore(false)} disabled={isLoading}>
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+
+        {sharedProjects.length > 0 && (
+          <section>
+            <h3>{showArchived ? 'Archived, shared with me' : 'Shared with me'}</h3>
+            {renderCards(sharedProjects)}
+          </section>
+        )}
+
+        {sharedCursor && (
+          <button className="dashboard-more" onClick={() => loadMore(true)} disabled={isLoading}>
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,13 +1,16 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
 import { 
   Folder, 
   FolderOpen, 
   FileCode, 
+  FileImage,
   ChevronRight, 
   ChevronDown,
   Plus,
+  FolderPlus,
   Trash2,
-  Edit2
+  Edit2,
+  Upload
 } from 'lucide-react';
 import './FileTree.css';
 
@@ -16,7 +19,9 @@ const FileNode = ({
   level = 0, 
   onSelect, 
   onDelete, 
-  selectedPath 
+  onRename,
+  selectedPath,
+  readOnly = false
 }) => {
   const [isExpanded, setIsExpanded] = useState(level === 0);
   const isDirectory = node.type === 'directory';
@@ -32,8 +37,22 @@ const FileNode = ({
 
   const handleDelete = (e) => {
     e.stopPropagation();
-    if (window.confirm(`Delete ${node.name}?`)) {
-      onDelete?.(node.path);
+    const message = isDirectory
+      ? `Delete the folder ${node.name} and everything in it?`
+      : `Delete ${node.name}?`;
+
+    if (window.confirm(message)) {
+      onDelete?.(node);
+    }
+  };
+
+  // Renaming to a path in another folder moves the file or folder
+  const handleRename = (e) => {
+    e.stopPropagation();
+    const newPath = window.prompt('Rename or move to:', node.path);
+
+    if (newPath && newPath.trim() && newPath.trim() !== node.path) {
+      onRename?.(node, newPath.trim());
     }
   };
 
@@ -61,6 +80,8 @@ const FileNode = ({
             ) : (
               <Folder size={16} />
             )
+          ) : node.isBinary ? (
+            <FileImage size={16} />
           ) : (
             <FileCode size={16} />
           )}
@@ -68,14 +89,23 @@ const FileNode = ({
         
         <span className="file-name">{node.name}</span>
         
-        {!isDirectory && (
-          <button 
-            className="file-action-button delete"
-            onClick={handleDelete}
-            title="Delete file"
-          >
-            <Trash2 size={12} />
-          </button>
+        {!readOnly && (
+          <div className="file-actions">
+            <button 
+              className="file-action-button"
+              onClick={handleRename}
+              title={isDirectory ? 'Rename or move folder' : 'Rename or move file'}
+            >
+              <Edit2 size={12} />
+            </button>
+            <button 
+              className="file-action-button delete"
+              onClick={handleDelete}
+              title={isDirectory ? 'Delete folder' : 'Delete file'}
+            >
+              <Trash2 size={12} />
+            </button>
+          </div>
         )}
       </div>
       
@@ -88,7 +118,9 @@ const FileNode = ({
               level={level + 1}
               onSelect={onSelect}
               onDelete={onDelete}
+              onRename={onRename}
               selectedPath={selectedPath}
+              readOnly={readOnly}
             />
           ))}
         </div>
@@ -102,25 +134,64 @@ export const FileTree = ({
   onFileSelect, 
   onFileDelete,
   onFileCreate,
-  selectedFile 
+  onFileRename,
+  onFolderCreate,
+  onFolderMove,
+  onFolderDelete,
+  onFilesUpload,
+  selectedFile,
+  readOnly = false
 }) => {
-  const [showNewFileInput, setShowNewFileInput] = useState(false);
+  // 'file' or 'folder' while the new entry input is open
+  const [newEntryType, setNewEntryType] = useState(null);
   const [newFileName, setNewFileName] = useState('');
+  const uploadInputRef = useRef(null);
+
+  const closeNewEntry = () => {
+    setNewEntryType(null);
+    setNewFileName('');
+  };
 
   const handleCreateFile = () => {
     if (newFileName.trim()) {
-      onFileCreate?.(newFileName.trim());
-      setNewFileName('');
-      setShowNewFileInput(false);
+      if (newEntryType === 'folder') {
+        onFolderCreate?.(newFileName.trim());
+      } else {
+        onFileCreate?.(newFileName.trim());
+      }
     }
+    closeNewEntry();
   };
 
   const handleKeyDown = (e) => {
     if (e.key === 'Enter') {
       handleCreateFile();
     } else if (e.key === 'Escape') {
-      setShowNewFileInput(false);
-      setNewFileName('');
+      closeNewEntry();
+    }
+  };
+
+  const handleUpload = (e) => {
+    if (e.target.files.length > 0) {
+      onFilesUpload?.(e.target.files);
+    }
+    // Allow picking the same files again
+    e.target.value = '';
+  };
+
+  const handleDelete = (node) => {
+    if (node.type === 'directory') {
+      onFolderDelete?.(node.path);
+    } else {
+      onFileDelete?.(node.path);
+    }
+  };
+
+  const handleRename = (node, newPath) => {
+    if (node.type === 'directory') {
+      onFolderMove?.(node.path, newPath);
+    } else {
+      onFileRename?.(node.path, newPath);
     }
   };
 
@@ -128,16 +199,41 @@ export const FileTree = ({
     <div className="file-tree">
       <div className="file-tree-header">
         <h3>Explorer</h3>
-        <button
-          className="new-file-button"
-          onClick={() => setShowNewFileInput(true)}
-          title="New file"
-        >
-          <Plus size={16} />
-        </button>
+        {!readOnly && (
+          <div className="file-tree-actions">
+            <button
+              className="new-file-button"
+              onClick={() => setNewEntryType('file')}
+              title="New file"
+            >
+              <Plus size={16} />
+            </button>
+            <button
+              className="new-file-button"
+              onClick={() => setNewEntryType('folder')}
+              title="New folder"
+            >
+              <FolderPlus size={16} />
+            </button>
+            <button
+              className="new-file-button"
+              onClick={() => uploadInputRef.current?.click()}
+              title="Upload files"
+            >
+              <Upload size={16} />
+            </button>
+            <input
+              ref={uploadInputRef}
+              type="file"
+              multiple
+              onChange={handleUpload}
+              style={{ display: 'none' }}
+            />
+          </div>
+        )}
       </div>
 
-      {showNewFileInput && (
+      {newEntryType && (
         <div className="new-file-input-container">
           <input
             type="text"
@@ -145,7 +241,7 @@ export const FileTree = ({
             onChange={(e) => setNewFileName(e.target.value)}
             onKeyDown={handleKeyDown}
             onBlur={handleCreateFile}
-            placeholder="filename.js"
+            placeholder={newEntryType === 'folder' ? 'folder/name' : 'filename.js'}
             autoFocus
             className="new-file-input"
           />
@@ -160,8 +256,10 @@ export const FileTree = ({
                 key={node.path || idx}
                 node={node}
                 onSelect={onFileSelect}
-                onDelete={onFileDelete}
+                onDelete={handleDelete}
+                onRename={handleRename}
                 selectedPath={selectedFile?.path}
+                readOnly={readOnly}
               />
             ))
           ) : (
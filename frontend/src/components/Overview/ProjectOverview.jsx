@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, FilePlus, FileEdit, Sparkles, MessageSquare, Settings, Archive, ArchiveRestore } from 'lucide-react';
+import { apiService } from '../../services/api';
+import './ProjectOverview.css';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+const EVENT_ICONS = {
+  file_created: FilePlus,
+  file_updated: FileEdit,
+  ai_generation: Sparkles,
+  chat_message: MessageSquare,
+  settings_changed: Settings,
+  archived: Archive,
+  unarchived: ArchiveRestore
+};
+
+const describeEvent = (event) => {
+  const who = event.actor?.username || 'Someone';
+
+  switch (event.type) {
+    case 'file_created':
+    case 'file_updated': {
+      const verb = event.type === 'file_created' ? 'created' : 'edited';
+      const by = event.data.authorType === 'ai' ? 'AI' : who;
+      return `${by} ${verb} ${event.data.path}`;
+    }
+    case 'ai_generation':
+      return `AI wrote ${event.data.files.map((f) => f.path).join(', ')}`;
+    case 'chat_message':
+      return event.data.role === 'user'
+        ? `${who}: ${event.data.excerpt}`
+        : `AI: ${event.data.excerpt}`;
+    case 'settings_changed':
+      return `${who} changed ${Object.keys(event.data.changes || {}).join(', ')}`;
+    case 'archived':
+      return `${who} archived the project`;
+    case 'unarchived':
+      return `${who} unarchived the project`;
+    default:
+      return event.type;
+  }
+};
+
+export const ProjectOverview = ({ project, onClose }) => {
+  const [stats, setStats] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadActivity = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+
+    try {
+      const response = await apiService.projects.activity(project.id, cursor);
+      setEvents((prev) => (cursor ? [...prev, ...response.data.events] : response.data.events));
+      setNextCursor(response.data.nextCursor);
+    } catch (err) {
+      console.error('Error loading activity:', err);
+      setError('Failed to load activity');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [project.id]);
+
+  useEffect(() => {
+    apiService.projects.stats(project.id)
+      .then((response) => setStats(response.data.stats))
+      .catch((err) => {
+        console.error('Error loading stats:', err);
+        setError('Failed to load statistics');
+      });
+
+    loadActivity();
+  }, [project.id, loadActivity]);
+
+  const aiShare = stats?.lines.total
+    ? Math.round((stats.lines.aiAuthored / stats.lines.total) * 100)
+    : 0;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal project-overview" onClick={(e) => e.stopPropagation()}>
+        <div className="overview-header">
+          <h2>{project.name} · Overview</h2>
+          <button className="icon-button" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <div className="overview-error">{error}</div>}
+
+        {stats && (
+          <>
+            <div className="overview-stats">
+              <div className="overview-stat">
+                <span className="overview-stat-value">{stats.files}</span>
+                <span className="overview-stat-label">files</span>
+              </div>
+              <div className="overview-stat">
+                <span className="overview-stat-value">{formatSize(stats.totalSize)}</span>
+                <span className="overview-stat-label">total size</span>
+              </div>
+              <div className="overview-stat">
+                <span className="overview-stat-value">{stats.generations.responses}</span>
+                <span className="overview-stat-label">AI generations</span>
+              </div>
+              <div className="overview-stat">
+                <span className="overview-stat-value">{stats.chatMessages}</span>
+                <span className="overview-stat-label">chat messages</span>
+              </div>
+            </div>
+
+            <div className="overview-lines">
+              <div className="overview-lines-bar">
+                <div className="overview-lines-ai" style={{ width: `${aiShare}%` }} />
+              </div>
+              <span className="overview-lines-label">
+                {stats.lines.aiAuthored} lines AI-authored · {stats.lines.humanEdited} human-edited
+              </span>
+            </div>
+
+            {stats.byLanguage.length > 0 && (
+              <table className="overview-languages">
+                <thead>
+                  <tr>
+                    <th>Language</th>
+                    <th>Files</th>
+                    <th>Lines</th>
+                    <th>Size</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.byLanguage.map((row) => (
+                    <tr key={row.language}>
+                      <td>{row.language}</td>
+                      <td>{row.files}</td>
+                      <td>{row.lines}</td>
+                      <td>{formatSize(row.bytes)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+
+        <h3 className="overview-section-title">Activity</h3>
+
+        <ul className="overview-activity">
+          {events.map((event) => {
+            const Icon = EVENT_ICONS[event.type] || FileEdit;
+
+            return (
+              <li key={`${event.type}-${event.id}`} className="overview-event">
+                <Icon size={14} />
+                <span className="overview-event-text">{describeEvent(event)}</span>
+                <span className="overview-event-time">{formatTime(event.at)}</span>
+              </li>
+            );
+          })}
+          {!isLoading && events.length === 0 && (
+            <li className="overview-empty">No activity yet</li>
+          )}
+        </ul>
+
+        {nextCursor && (
+          <button
+            className="overview-more"
+            onClick={() => loadActivity(nextCursor)}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -1,15 +1,40 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { RefreshCw, Maximize2, AlertCircle } from 'lucide-react';
+import { apiService, rawFilesUrl } from '../../services/api';
 import './IframePreview.css';
 
-export const IframePreview = ({ files, currentFile }) => {
+// Renew the preview cookie well before it expires
+const PREVIEW_SESSION_REFRESH_MS = 30 * 60 * 1000;
+
+export const IframePreview = ({ projectId, files, currentFile }) => {
   const iframeRef = useRef(null);
   const [error, setError] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [hasSession, setHasSession] = useState(false);
+
+  // The iframe can't send our bearer token, so images, fonts and other
+  // assets are loaded from the raw endpoint with a preview cookie
+  useEffect(() => {
+    if (!projectId) return;
+
+    const startSession = () => {
+      apiService.files.previewSession(projectId)
+        .then(() => setHasSession(true))
+        .catch((err) => console.error('Error starting preview session:', err));
+    };
+
+    startSession();
+    const interval = setInterval(startSession, PREVIEW_SESSION_REFRESH_MS);
+
+    return () => {
+      clearInterval(interval);
+      setHasSession(false);
+    };
+  }, [projectId]);
 
   useEffect(() => {
     refreshPreview();
-  }, [files, currentFile]);
+  }, [files, currentFile, hasSession]);
 
   const refreshPreview = () => {
     if (!iframeRef.current) return;
@@ -52,13 +77,15 @@ export const IframePreview = ({ files, currentFile }) => {
     );
     
     const cssFiles = filesList?.filter(f => 
-      f.path.endsWith('.css') || f.language === 'css'
+      !f.is_binary && (f.path.endsWith('.css') || f.language === 'css')
     ) || [];
     
     const jsFiles = filesList?.filter(f => 
-      f.path.endsWith('.js') || 
-      f.path.endsWith('.jsx') || 
-      f.language === 'javascript'
+      !f.is_binary && (
+        f.path.endsWith('.js') || 
+        f.path.endsWith('.jsx') || 
+        f.language === 'javascript'
+      )
     ) || [];
 
     // Build HTML
@@ -90,6 +117,14 @@ export const IframePreview = ({ files, currentFile }) => {
       `;
     }
 
+    // Resolve relative URLs (img src, url(), fonts) against the project's raw files
+    if (projectId) {
+      html = html.replace(
+        /<head(\s[^>]*)?>/i,
+        `<head$1>\n<base href="${rawFilesUrl(projectId)}">`
+      );
+    }
+
     // Inject CSS
     if (cssFiles.length > 0) {
       const cssContent = cssFiles.map(f => f.content).join('\n\n');
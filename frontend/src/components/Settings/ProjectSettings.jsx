@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { apiService } from '../../services/api';
+import './ProjectSettings.css';
+
+const LABELS = {
+  model: 'Model',
+  temperature: 'Temperature',
+  retrievalTopK: 'Context files (top K)',
+  maxOutputTokens: 'Max output tokens',
+  framework: 'Target framework',
+  systemPrompt: 'Custom instructions',
+  conventions: 'Coding conventions'
+};
+
+const PLACEHOLDERS = {
+  framework: 'e.g. React 18 + Vite',
+  systemPrompt: 'Extra instructions sent with every request...',
+  conventions: 'e.g. 2-space indent, functional components, no semicolons...'
+};
+
+export const ProjectSettings = ({ project, onSave, onClose }) => {
+  const [schema, setSchema] = useState(null);
+  const [values, setValues] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const readOnly = project.role === 'viewer';
+
+  // Fill the form with the stored settings over the schema defaults
+  useEffect(() => {
+    apiService.projects.settingsSchema()
+      .then((response) => {
+        const loaded = response.data.schema;
+        const initial = {};
+
+        Object.entries(loaded).forEach(([key, rule]) => {
+          initial[key] = project.settings?.[key] ?? rule.default;
+        });
+
+        setSchema(loaded);
+        setValues(initial);
+      })
+      .catch((err) => {
+        console.error('Error loading settings schema:', err);
+        setErrors(['Failed to load settings']);
+      });
+  }, [project.id, project.settings]);
+
+  const setValue = (key, value) => {
+    setValues((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setErrors([]);
+
+    try {
+      await onSave(values);
+      onClose();
+    } catch (err) {
+      setErrors(Array.isArray(err.details) ? err.details : [err.message || 'Failed to save settings']);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderField = (key, rule) => {
+    const common = {
+      id: `setting-${key}`,
+      className: 'modal-input',
+      disabled: readOnly
+    };
+
+    if (rule.type === 'enum') {
+      return (
+        <select {...common} value={values[key]} onChange={(e) => setValue(key, e.target.value)}>
+          {rule.values.map((v) => (
+            <option key={v} value={v}>{v}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (rule.type === 'number' || rule.type === 'integer') {
+      return (
+        <input
+          {...common}
+          type="number"
+          min={rule.min}
+          max={rule.max}
+          step={rule.type === 'integer' ? 1 : 0.1}
+          value={values[key]}
+          onChange={(e) => setValue(key, e.target.value === '' ? null : Number(e.target.value))}
+        />
+      );
+    }
+
+    if (rule.maxLength > 200) {
+      return (
+        <textarea
+          {...common}
+          rows={4}
+          maxLength={rule.maxLength}
+          placeholder={PLACEHOLDERS[key]}
+          value={values[key]}
+          onChange={(e) => setValue(key, e.target.value)}
+        />
+      );
+    }
+
+    return (
+      <input
+        {...common}
+        type="text"
+        maxLength={rule.maxLength}
+        placeholder={PLACEHOLDERS[key]}
+        value={values[key]}
+        onChange={(e) => setValue(key, e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal project-settings" onClick={(e) => e.stopPropagation()}>
+        <div className="project-settings-header">
+          <h2>{project.name} · AI settings</h2>
+          <button className="icon-button" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="project-settings-errors">
+            {errors.map((error) => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        {schema ? (
+          <div className="project-settings-fields">
+            {Object.entries(schema).map(([key, rule]) => (
+              <div key={key} className="project-settings-field">
+                <label htmlFor={`setting-${key}`}>
+                  {LABELS[key] || key}
+                  {rule.min !== undefined && (
+                    <span className="project-settings-range">{rule.min}–{rule.max}</span>
+                  )}
+                </label>
+                {renderField(key, rule)}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="project-settings-loading">Loading...</div>
+        )}
+
+        <div className="modal-actions">
+          <button onClick={onClose}>
+            {readOnly ? 'Close' : 'Cancel'}
+          </button>
+          {!readOnly && (
+            <button
+              onClick={handleSave}
+              className="primary"
+              disabled={!schema || isSaving}
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
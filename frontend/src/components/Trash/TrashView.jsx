@@ -0,0 +1,105 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { RotateCcw, Trash2, X } from 'lucide-react';
+import { apiService } from '../../services/api';
+import './TrashView.css';
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+export const TrashView = ({ onClose, onRestored }) => {
+  const [projects, setProjects] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.projects.trash();
+      setProjects(response.data.projects);
+    } catch (err) {
+      console.error('Error loading trash:', err);
+      setError('Failed to load trash');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const handleRestore = async (project) => {
+    try {
+      const response = await apiService.projects.restore(project.id);
+      setProjects((prev) => prev.filter((p) => p.id !== project.id));
+      onRestored?.(response.data.project);
+    } catch (err) {
+      console.error('Error restoring project:', err);
+      setError(`Failed to restore ${project.name}`);
+    }
+  };
+
+  const handlePurge = async (project) => {
+    if (!window.confirm(`Permanently delete ${project.name}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await apiService.projects.purge(project.id);
+      setProjects((prev) => prev.filter((p) => p.id !== project.id));
+    } catch (err) {
+      console.error('Error deleting project:', err);
+      setError(`Failed to delete ${project.name}`);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal trash-view" onClick={(e) => e.stopPropagation()}>
+        <div className="trash-header">
+          <h2>Trash</h2>
+          <button className="icon-button" onClick={onClose} title="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        {error && <div className="trash-error">{error}</div>}
+
+        {isLoading ? (
+          <div className="trash-empty">Loading...</div>
+        ) : projects.length === 0 ? (
+          <div className="trash-empty">Trash is empty</div>
+        ) : (
+          <ul className="trash-list">
+            {projects.map((project) => (
+              <li key={project.id} className="trash-item">
+                <div className="trash-item-info">
+                  <span className="trash-item-name">{project.name}</span>
+                  <span className="trash-item-meta">
+                    {project.file_count} files · deleted {formatDate(project.deleted_at)} ·
+                    purged {formatDate(project.purge_at)}
+                  </span>
+                </div>
+                <button
+                  className="icon-button"
+                  onClick={() => handleRestore(project)}
+                  title="Restore"
+                >
+                  <RotateCcw size={16} />
+                </button>
+                <button
+                  className="icon-button danger"
+                  onClick={() => handlePurge(project)}
+                  title="Delete forever"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
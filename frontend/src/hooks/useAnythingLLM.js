@@ -37,6 +37,7 @@ export const useAnythingLLM = (projectId) => {
         role: 'assistant',
         content: response.data.message,
         generatedFiles: response.data.generatedFiles || [],
+        skippedFiles: response.data.skippedFiles || [],
         thinking: response.data.thinking,
         timestamp: Date.now()
       };
@@ -68,6 +69,7 @@ export const useAnythingLLM = (projectId) => {
         role: msg.role,
         content: msg.content,
         generatedFiles: msg.metadata?.files || [],
+        skippedFiles: msg.metadata?.skippedFiles || [],
         timestamp: new Date(msg.created_at).getTime()
       }));
 
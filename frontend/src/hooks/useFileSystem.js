@@ -58,15 +58,27 @@ export const useFileSystem = (projectId) => {
     }
   }, [projectId]);
 
-  const saveFile = useCallback(async (path, content, language) => {
+  // Set when a save found the file changed on the server:
+  // { path, content, language, current } where current is the stored file
+  const [conflict, setConflict] = useState(null);
+
+  // Saves to the open file send its ETag, so a newer version on the
+  // server (e.g. regenerated by chat) is not overwritten; pass
+  // { force: true } or an etag to save over a known version
+  const saveFile = useCallback(async (path, content, language, { etag, force = false } = {}) => {
     if (!projectId) return;
 
+    const ifMatch = force
+      ? undefined
+      : etag || (currentFile && currentFile.path === path ? currentFile.etag : undefined);
+
     try {
       const response = await apiService.files.update(
         projectId,
         path,
         content,
-        language
+        language,
+        ifMatch
       );
 
       // Update current file if it's the same
@@ -74,18 +86,56 @@ export const useFileSystem = (projectId) => {
         setCurrentFile(response.data.file);
       }
 
+      setConflict(null);
+
       // Reload file list
       await loadFiles();
 
       return response.data.file;
 
     } catch (err) {
+      if (err.status === 409 && err.code === 'FILE_CONFLICT') {
+        setConflict({
+          path,
+          content,
+          language,
+          current: err.conflicts?.[0]?.current || null
+        });
+        return null;
+      }
+
       console.error('Error saving file:', err);
-      setError('Failed to save file');
+      setError(err.message || 'Failed to save file');
       return null;
     }
   }, [projectId, currentFile, loadFiles]);
 
+  // Resolve a save conflict: 'theirs' loads the stored file, discarding
+  // the edit; 'mine' saves the given content over the stored version
+  const resolveConflict = useCallback(async (choice, content) => {
+    if (!conflict) return;
+
+    const { path, language, current } = conflict;
+
+    if (choice === 'theirs') {
+      setConflict(null);
+      if (current) {
+        await openFile(path);
+      } else {
+        setCurrentFile(null);
+      }
+      await loadFiles();
+      return;
+    }
+
+    // A deleted file is simply created again
+    await saveFile(path, content, language, current ? { etag: current.etag } : { force: true });
+  }, [conflict, openFile, saveFile, loadFiles]);
+
+  const dismissConflict = useCallback(() => {
+    setConflict(null);
+  }, []);
+
   const createFile = useCallback(async (path, content = '', language = 'text') => {
     return saveFile(path, content, language);
   }, [saveFile]);
@@ -108,7 +158,7 @@ export const useFileSystem = (projectId) => {
 
     } catch (err) {
       console.error('Error deleting file:', err);
-      setError('Failed to delete file');
+      setError(err.message || 'Failed to delete file');
       return false;
     }
   }, [projectId, currentFile, loadFiles]);
@@ -117,11 +167,11 @@ export const useFileSystem = (projectId) => {
     if (!projectId) return;
 
     try {
-      await apiService.files.rename(projectId, oldPath, newPath);
+      const response = await apiService.files.rename(projectId, oldPath, newPath);
 
-      // Update current file if renamed
+      // Update current file if renamed (the new path has a new ETag)
       if (currentFile && currentFile.path === oldPath) {
-        setCurrentFile((prev) => ({ ...prev, path: newPath }));
+        setCurrentFile((prev) => ({ ...prev, path: newPath, etag: response.data.file.etag }));
       }
 
       // Reload files
@@ -131,11 +181,85 @@ export const useFileSystem = (projectId) => {
 
     } catch (err) {
       console.error('Error renaming file:', err);
-      setError('Failed to rename file');
+      setError(err.message || 'Failed to rename file');
+      return false;
+    }
+  }, [projectId, currentFile, loadFiles]);
+
+  const createDirectory = useCallback(async (path) => {
+    if (!projectId) return;
+
+    try {
+      await apiService.files.createDirectory(projectId, path);
+      await loadFiles();
+      return true;
+
+    } catch (err) {
+      console.error('Error creating folder:', err);
+      setError(err.message || 'Failed to create folder');
+      return false;
+    }
+  }, [projectId, loadFiles]);
+
+  const moveDirectory = useCallback(async (oldPath, newPath) => {
+    if (!projectId) return;
+
+    try {
+      await apiService.files.moveDirectory(projectId, oldPath, newPath);
+
+      // Keep the open file if it moved along
+      if (currentFile && currentFile.path.startsWith(`${oldPath}/`)) {
+        setCurrentFile((prev) => ({
+          ...prev,
+          path: newPath + prev.path.slice(oldPath.length)
+        }));
+      }
+
+      await loadFiles();
+      return true;
+
+    } catch (err) {
+      console.error('Error moving folder:', err);
+      setError(err.message || 'Failed to move folder');
+      return false;
+    }
+  }, [projectId, currentFile, loadFiles]);
+
+  const deleteDirectory = useCallback(async (path) => {
+    if (!projectId) return;
+
+    try {
+      await apiService.files.deleteDirectory(projectId, path);
+
+      if (currentFile && currentFile.path.startsWith(`${path}/`)) {
+        setCurrentFile(null);
+      }
+
+      await loadFiles();
+      return true;
+
+    } catch (err) {
+      console.error('Error deleting folder:', err);
+      setError(err.message || 'Failed to delete folder');
       return false;
     }
   }, [projectId, currentFile, loadFiles]);
 
+  const uploadFiles = useCallback(async (fileList, dir = '') => {
+    if (!projectId) return;
+
+    try {
+      const response = await apiService.files.upload(projectId, fileList, dir);
+      await loadFiles();
+      return response.data.files;
+
+    } catch (err) {
+      console.error('Error uploading files:', err);
+      setError(err.message || 'Failed to upload files');
+      return null;
+    }
+  }, [projectId, loadFiles]);
+
   const updateFileContent = useCallback((content) => {
     if (currentFile) {
       setCurrentFile((prev) => ({ ...prev, content }));
@@ -146,14 +270,21 @@ export const useFileSystem = (projectId) => {
     files,
     fileTree,
     currentFile,
+    conflict,
     isLoading,
     error,
     loadFiles,
     openFile,
     saveFile,
+    resolveConflict,
+    dismissConflict,
     createFile,
     deleteFile,
     renameFile,
+    createDirectory,
+    moveDirectory,
+    deleteDirectory,
+    uploadFiles,
     updateFileContent
   };
 };
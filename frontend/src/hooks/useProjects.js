@@ -33,12 +33,12 @@ export const useProjects = () => {
     }
   }, [currentProject]);
 
-  const createProject = useCallback(async (name, description = '') => {
+  const createProject = useCallback(async (name, description = '', templateId = null) => {
     setIsLoading(true);
     setError(null);
 
     try {
-      const response = await apiService.projects.create(name, description);
+      const response = await apiService.projects.create(name, description, undefined, templateId);
       const newProject = response.data.project;
 
       setProjects((prev) => [newProject, ...prev]);
@@ -55,10 +55,34 @@ export const useProjects = () => {
     }
   }, []);
 
+  const duplicateProject = useCallback(async (id, options = {}) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.projects.duplicate(id, options);
+      const newProject = response.data.project;
+
+      setProjects((prev) => [newProject, ...prev]);
+      setCurrentProject(newProject);
+
+      return newProject;
+
+    } catch (err) {
+      console.error('Error duplicating project:', err);
+      setError('Failed to duplicate project');
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
   const updateProject = useCallback(async (id, data) => {
     try {
       const response = await apiService.projects.update(id, data);
-      const updatedProject = response.data.project;
+      // Keep list-only fields (role, shared, owner) the update doesn't return
+      const existing = projects.find((p) => p.id === id);
+      const updatedProject = { ...existing, ...response.data.project };
 
       setProjects((prev) =>
         prev.map((p) => (p.id === id ? updatedProject : p))
@@ -73,9 +97,37 @@ export const useProjects = () => {
     } catch (err) {
       console.error('Error updating project:', err);
       setError('Failed to update project');
+      throw err;
+    }
+  }, [currentProject, projects]);
+
+  const setArchived = useCallback(async (id, archived) => {
+    try {
+      const response = archived
+        ? await apiService.projects.archive(id)
+        : await apiService.projects.unarchive(id);
+      const existing = projects.find((p) => p.id === id) || currentProject;
+      const updatedProject = { ...existing, ...response.data.project };
+
+      // The default list leaves archived projects out
+      setProjects((prev) =>
+        archived
+          ? prev.filter((p) => p.id !== id)
+          : [updatedProject, ...prev.filter((p) => p.id !== id)]
+      );
+
+      if (currentProject && currentProject.id === id) {
+        setCurrentProject(updatedProject);
+      }
+
+      return updatedProject;
+
+    } catch (err) {
+      console.error('Error archiving project:', err);
+      setError(`Failed to ${archived ? 'archive' : 'unarchive'} project`);
       return null;
     }
-  }, [currentProject]);
+  }, [currentProject, projects]);
 
   const deleteProject = useCallback(async (id) => {
     try {
@@ -84,7 +136,7 @@ export const useProjects = () => {
       setProjects((prev) => prev.filter((p) => p.id !== id));
 
       if (currentProject && currentProject.id === id) {
-        setCurrentProject(projects[0] || null);
+        setCurrentProject(projects.find((p) => p.id !== id) || null);
       }
 
       return true;
@@ -107,7 +159,9 @@ export const useProjects = () => {
     error,
     loadProjects,
     createProject,
+    duplicateProject,
     updateProject,
+    setArchived,
     deleteProject,
     selectProject
   };
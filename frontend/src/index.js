@@ -2,10 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { consumeOidcCallback, consumeAccountLink } from './services/api';
+
+// Pick up tokens when returning from single sign-on, and the token of
+// a verification, password reset or unlock link from an email
+const signIn = consumeOidcCallback();
+const accountLink = consumeAccountLink();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <App signIn={signIn} accountLink={accountLink} />
   </React.StrictMode>
 );
@@ -25,25 +25,135 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor - handle errors
+// Token storage helpers
+export const setAuthTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem('authToken', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('refreshToken');
+};
+
+// Base URL of a project's raw files, as loaded by the preview
+export const rawFilesUrl = (projectId) =>
+  `${API_URL}/api/files/${projectId}/raw/`;
+
+// Single sign-on starts with a full-page redirect to the backend
+export const oidcLoginUrl = (provider) =>
+  `${API_URL}/api/auth/oidc/${encodeURIComponent(provider)}`;
+
+// The backend redirects back to /auth/callback with the result in the URL
+// fragment: store any tokens, clean the URL and return the rest
+// (error, or twoFactorRequired + challengeToken for apiService.auth.login2fa)
+export const consumeOidcCallback = () => {
+  if (window.location.pathname !== '/auth/callback') {
+    return null;
+  }
+
+  const params = Object.fromEntries(new URLSearchParams(window.location.hash.substring(1)));
+
+  setAuthTokens(params);
+  window.history.replaceState(null, '', '/');
+
+  return {
+    error: params.error || null,
+    twoFactorRequired: params.twoFactorRequired === 'true',
+    challengeToken: params.challengeToken || null
+  };
+};
+
+// Pages the backend's emails link to, each with a one-time ?token=
+const ACCOUNT_LINKS = ['/verify-email', '/reset-password', '/unlock-account'];
+
+// Take the token out of an emailed account link and clean the URL.
+// Returns { action, token } (action: verify-email | reset-password |
+// unlock-account) or null when the page isn't one of those links.
+export const consumeAccountLink = () => {
+  if (!ACCOUNT_LINKS.includes(window.location.pathname)) {
+    return null;
+  }
+
+  const action = window.location.pathname.substring(1);
+  const token = new URLSearchParams(window.location.search).get('token');
+
+  window.history.replaceState(null, '', '/');
+
+  return { action, token };
+};
+
+// Single in-flight refresh shared by every request that got a 401
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/api/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        setAuthTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Requests that must never trigger a silent refresh
+const isAuthRequest = (config) =>
+  ['/auth/login', '/auth/register', '/auth/refresh', '/auth/reset-password', '/auth/unlock'].some((path) =>
+    config?.url?.startsWith(path)
+  );
+
+// 401 codes from the auth middleware that a refresh can fix. Other 401s
+// (a wrong password on a credential check) are answers, not stale tokens.
+const REFRESHABLE_CODES = ['TOKEN_MISSING', 'TOKEN_EXPIRED', 'SESSION_REVOKED'];
+
+// Response interceptor - refresh expired tokens, handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response) {
-      // Server responded with error
-      const { status, data } = error.response;
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      REFRESHABLE_CODES.includes(error.response.data?.code) &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !isAuthRequest(originalRequest)
+    ) {
+      originalRequest._retry = true;
 
-      if (status === 401) {
-        // Unauthorized - clear token and redirect to login
-        localStorage.removeItem('authToken');
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Refresh failed - session is gone, send the user to login
+        clearAuthTokens();
         window.location.href = '/login';
       }
+    }
 
-      // Return formatted error
+    if (error.response) {
+      // Server responded with error
+      const { status, data } = error.response;
+
+      // Return formatted error; code and conflicts let callers tell
+      // errors apart (e.g. FILE_CONFLICT on a stale save)
       return Promise.reject({
         status,
         message: data.error || data.message || 'An error occurred',
-        details: data.details
+        details: data.details,
+        code: data.code,
+        conflicts: data.conflicts
       });
     } else if (error.request) {
       // Request made but no response
@@ -63,32 +173,147 @@ api.interceptors.response.use(
   }
 );
 
+// Keep tokens from login/register responses
+const storeTokens = (response) => {
+  setAuthTokens(response.data);
+  return response;
+};
+
 // API Methods
 export const apiService = {
   // Auth
   auth: {
     register: (email, password, username) =>
-      api.post('/auth/register', { email, password, username }),
+      api.post('/auth/register', { email, password, username }).then(storeTokens),
     login: (email, password) =>
-      api.post('/auth/login', { email, password }),
+      api.post('/auth/login', { email, password }).then(storeTokens),
+    login2fa: (challengeToken, { code, recoveryCode }) =>
+      api.post('/auth/login/2fa', { challengeToken, code, recoveryCode }).then(storeTokens),
     me: () =>
       api.get('/auth/me'),
+    oidcProviders: () =>
+      api.get('/auth/oidc/providers'),
     changePassword: (oldPassword, newPassword) =>
-      api.post('/auth/change-password', { oldPassword, newPassword })
+      api.post('/auth/change-password', { oldPassword, newPassword }),
+    verifyEmail: (token) =>
+      api.post('/auth/verify-email', { token }),
+    resendVerification: () =>
+      api.post('/auth/resend-verification'),
+    forgotPassword: (email) =>
+      api.post('/auth/forgot-password', { email }),
+    resetPassword: (token, newPassword) =>
+      api.post('/auth/reset-password', { token, newPassword }),
+    unlockAccount: (token) =>
+      api.post('/auth/unlock', { token }),
+    setup2fa: () =>
+      api.post('/auth/2fa/setup'),
+    enable2fa: (code) =>
+      api.post('/auth/2fa/enable', { code }),
+    disable2fa: (password, { code, recoveryCode }) =>
+      api.post('/auth/2fa/disable', { password, code, recoveryCode }),
+    regenerateRecoveryCodes: (code) =>
+      api.post('/auth/2fa/recovery-codes', { code }),
+    logout: () =>
+      api.post('/auth/logout').finally(clearAuthTokens),
+    sessions: () =>
+      api.get('/auth/sessions'),
+    revokeSession: (sessionId) =>
+      api.delete(`/auth/sessions/${sessionId}`),
+    revokeOtherSessions: () =>
+      api.delete('/auth/sessions'),
+    tokens: () =>
+      api.get('/auth/tokens'),
+    createToken: (name, scopes, expiresInDays = null) =>
+      api.post('/auth/tokens', { name, scopes, expiresInDays }),
+    revokeToken: (tokenId) =>
+      api.delete(`/auth/tokens/${tokenId}`)
   },
 
   // Projects
   projects: {
-    list: () =>
-      api.get('/projects'),
+    list: ({ q, tags = [], starred, shared, archived, sort, order, cursor, limit } = {}) =>
+      api.get('/projects', {
+        params: { q, tag: tags.join(',') || undefined, starred, shared, archived, sort, order, cursor, limit }
+      }),
+    tags: () =>
+      api.get('/projects/tags'),
+    activity: (id, cursor = null) =>
+      api.get(`/projects/${id}/activity`, { params: { cursor: cursor || undefined } }),
+    stats: (id) =>
+      api.get(`/projects/${id}/stats`),
+    archive: (id) =>
+      api.put(`/projects/${id}/archive`),
+    unarchive: (id) =>
+      api.delete(`/projects/${id}/archive`),
+    star: (id) =>
+      api.put(`/projects/${id}/star`),
+    unstar: (id) =>
+      api.delete(`/projects/${id}/star`),
     get: (id) =>
       api.get(`/projects/${id}`),
-    create: (name, description, settings) =>
-      api.post('/projects', { name, description, settings }),
+    create: (name, description, settings, templateId = null) =>
+      api.post('/projects', { name, description, settings, templateId }),
+    templates: () =>
+      api.get('/projects/templates'),
+    exportZip: (id) =>
+      api.get(`/projects/${id}/export`, { responseType: 'blob' }),
+    importZip: (file, { projectId, name, conflict = 'overwrite' } = {}) => {
+      const form = new FormData();
+      form.append('file', file);
+      if (projectId) form.append('projectId', projectId);
+      if (name) form.append('name', name);
+      form.append('conflict', conflict);
+      return api.post('/projects/import', form, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 120000
+      });
+    },
+    importGitBundle: (file, { projectId, name, ref, conflict = 'overwrite' } = {}) => {
+      const form = new FormData();
+      form.append('file', file);
+      if (projectId) form.append('projectId', projectId);
+      if (name) form.append('name', name);
+      if (ref) form.append('ref', ref);
+      form.append('conflict', conflict);
+      return api.post('/projects/import/git', form, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 120000
+      });
+    },
+    importDirectory: (path, { projectId, name, conflict = 'overwrite' } = {}) =>
+      api.post('/projects/import/directory', { path, projectId, name, conflict }),
+    importJob: (jobId) =>
+      api.get(`/projects/import/jobs/${jobId}`),
+    duplicate: (id, { name, includeChat = false } = {}) =>
+      api.post(`/projects/${id}/duplicate`, { name, includeChat }),
+    saveAsTemplate: (id, name, description = '') =>
+      api.post(`/projects/${id}/template`, { name, description }),
+    deleteTemplate: (templateId) =>
+      api.delete(`/projects/templates/${templateId}`),
     update: (id, data) =>
       api.put(`/projects/${id}`, data),
+    settingsSchema: () =>
+      api.get('/projects/settings-schema'),
     delete: (id) =>
-      api.delete(`/projects/${id}`)
+      api.delete(`/projects/${id}`),
+    trash: () =>
+      api.get('/projects/trash'),
+    restore: (id) =>
+      api.post(`/projects/trash/${id}/restore`),
+    purge: (id) =>
+      api.delete(`/projects/trash/${id}`),
+    invitations: () =>
+      api.get('/projects/invitations'),
+    members: (id) =>
+      api.get(`/projects/${id}/members`),
+    invite: (id, email, role = 'viewer') =>
+      api.post(`/projects/${id}/members`, { email, role }),
+    acceptInvitation: (id) =>
+      api.post(`/projects/${id}/members/accept`),
+    updateMember: (id, userId, role) =>
+      api.put(`/projects/${id}/members/${userId}`, { role }),
+    removeMember: (id, userId) =>
+      api.delete(`/projects/${id}/members/${userId}`)
   },
 
   // Files
@@ -96,17 +321,48 @@ export const apiService = {
     list: (projectId, asTree = false) =>
       api.get(`/files/${projectId}`, { params: { tree: asTree } }),
     get: (projectId, path) =>
-      api.get(`/files/${projectId}/${path}`),
-    update: (projectId, path, content, language) =>
-      api.post('/files/update', { projectId, path, content, language }),
-    batch: (projectId, files) =>
-      api.post('/files/batch', { projectId, files }),
+      api.get(`/files/${projectId}/content/${path}`),
+    // etag: the version the edit started from; a newer stored file is a 409
+    update: (projectId, path, content, language, etag) =>
+      api.post('/files/update', { projectId, path, content, language }, {
+        headers: etag ? { 'If-Match': etag } : {}
+      }),
+    batch: (projectId, files, etags = []) =>
+      api.post('/files/batch', { projectId, files }, {
+        headers: etags.length > 0 ? { 'If-Match': etags.join(', ') } : {}
+      }),
     delete: (projectId, path) =>
       api.delete(`/files/${projectId}/${path}`),
     rename: (projectId, oldPath, newPath) =>
       api.post('/files/rename', { projectId, oldPath, newPath }),
+    createDirectory: (projectId, path) =>
+      api.post('/files/directories', { projectId, path }),
+    moveDirectory: (projectId, oldPath, newPath) =>
+      api.post('/files/directories/move', { projectId, oldPath, newPath }),
+    deleteDirectory: (projectId, path) =>
+      api.delete('/files/directories', { data: { projectId, path } }),
     search: (projectId, query, limit) =>
-      api.post('/files/search', { projectId, query, limit })
+      api.post('/files/search', { projectId, query, limit }),
+    history: (projectId, path, cursor) =>
+      api.get(`/files/${projectId}/history/${path}`, { params: { cursor } }),
+    revision: (projectId, revisionId) =>
+      api.get(`/files/${projectId}/revisions/${revisionId}`),
+    diff: (projectId, from, to = 'current') =>
+      api.get(`/files/${projectId}/diff`, { params: { from, to } }),
+    restoreRevision: (projectId, revisionId) =>
+      api.post(`/files/${projectId}/revisions/${revisionId}/restore`),
+    upload: (projectId, fileList, dir = '') => {
+      const form = new FormData();
+      Array.from(fileList).forEach((file) => form.append('files', file));
+      if (dir) form.append('dir', dir);
+      return api.post(`/files/${projectId}/upload`, form, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 120000
+      });
+    },
+    // Sets the cookie that lets the preview iframe load raw files
+    previewSession: (projectId) =>
+      api.post(`/files/${projectId}/preview-session`, null, { withCredentials: true })
   },
 
   // Chat
@@ -117,6 +373,42 @@ export const apiService = {
       api.get(`/chat/history/${projectId}`, { params: { limit, offset } }),
     deleteSession: (sessionId) =>
       api.delete(`/chat/session/${sessionId}`)
+  },
+
+  // Account
+  account: {
+    usage: () =>
+      api.get('/account/usage'),
+    exportData: () =>
+      api.get('/account/export', { responseType: 'blob' }),
+    deleteAccount: (password, { code, recoveryCode } = {}) =>
+      // A failed deletion (wrong password, missing code) keeps the login
+      api.delete('/account', { data: { password, code, recoveryCode } }).then((response) => {
+        clearAuthTokens();
+        return response;
+      })
+  },
+
+  // Admin
+  admin: {
+    users: ({ search, status, limit = 50, offset = 0 } = {}) =>
+      api.get('/admin/users', { params: { search, status, limit, offset } }),
+    user: (userId) =>
+      api.get(`/admin/users/${userId}`),
+    deactivateUser: (userId) =>
+      api.post(`/admin/users/${userId}/deactivate`),
+    reactivateUser: (userId) =>
+      api.post(`/admin/users/${userId}/reactivate`),
+    setUserRole: (userId, role) =>
+      api.put(`/admin/users/${userId}/role`, { role }),
+    forcePasswordReset: (userId) =>
+      api.post(`/admin/users/${userId}/force-password-reset`),
+    unlockUser: (userId) =>
+      api.post(`/admin/users/${userId}/unlock`),
+    deleteUser: (userId) =>
+      api.delete(`/admin/users/${userId}`),
+    audit: ({ actorId, targetId, action, limit = 50, offset = 0 } = {}) =>
+      api.get('/admin/audit', { params: { actorId, targetId, action, limit, offset } })
   }
 };
 